@@ -1,140 +1,722 @@
+import { parseNamModel, fetchNamModel, getModelGains } from './nam-model.js';
+import { captureUrl, CAPTURE_SETS, getCaptureBlend } from './captures.js';
+import { PARAMS, SWITCHES, NOTE_DIVISIONS, MOD_TYPES, TREMOLO_SHAPES, REVERB_TYPES, EQ_BANDS, EQ_MODES, GRAPHIC_BANDS, CUT_SLOPES, AMPS, AMP_SELECTIONS, CAB_SLOTS, getParamDefaults, getSwitchDefaults } from './params.js';
+import { makeReverbImpulse, trimImpulse } from './reverb-impulse.js';
+import { DRIVE_PEDALS, makeClipCurve } from './drive-pedals.js';
+
+// Samples the tuner analyses per reading: a power of two (the analyser's
+// fftSize) holding two periods of detectPitch's 28 Hz floor at up to 96 kHz,
+// about ten of a 7-string's low B (B1) at 48 kHz
+export const TUNER_WINDOW = 8192;
+
+function concatChunks(chunks) {
+    const out = new Float32Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+        out.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return out;
+}
+
+// Seconds rendered past the end of a reamped DI, on top of the cab's IR
+const RENDER_TAIL = 1;
+
+// GAIN knob position that feeds a neural capture at unity level
+const NEURAL_UNITY_GAIN = 5;
+
+// Blocks of the signal chain between the DI and the master:
+// entry / exit nodes, the switch that bypasses them, and whether they're
+// fixed in place (the amp and the cab can't be moved or removed) or kept
+// (the gate moves but stays on the board). The amp and the cab stand for
+// amp A's nodes; routeChain wires in amp B's too.
+export const BLOCKS = {
+    gate: { label: 'GATE', input: 'gate', output: 'gate', switch: 'gate', kept: true },
+    compressor: { label: 'COMP', input: 'compressorInput', output: 'compressorOutput', switch: 'compressor' },
+    amp: { label: 'AMP', input: 'preGain', output: 'presence', fixed: true },
+    cab: { label: 'CAB', input: 'cabInput', output: 'ampMix', fixed: true },
+    eq: { label: 'EQ', input: 'eqInput', output: 'eqOutput', switch: 'eq' },
+    mod: { label: 'MOD', input: 'modInput', output: 'modOutput', switch: 'mod' },
+    delay: { label: 'DELAY', input: 'delayInput', output: 'delayOutput', switch: 'delay' },
+    reverb: { label: 'REVERB', input: 'reverbInput', output: 'reverbOutput', switch: 'reverb' }
+};
+
+Object.entries(DRIVE_PEDALS).forEach(([id, pedal]) => {
+    BLOCKS[id] = { label: pedal.label, input: `${id}Input`, output: `${id}Output`, switch: id };
+});
+
+export const DEFAULT_CHAIN = ['gate', 'compressor', 'fuzz', 'trebleBooster', 'overdrive', 'distortion', 'boost', 'amp', 'cab', 'eq', 'mod', 'delay', 'reverb'];
+
+// Time constant (s) of the fade around a chain rewire
+const CHAIN_FADE = 0.005;
+
+// Reverb an amp model switches on when picked (if enabled in Settings);
+// `preCab` moves it between the amp and the cab like an amp's own tank
+const AMP_REVERBS = {
+    fender: { type: 'spring', preCab: true }
+};
+
+// Delay-based modulation: base delay time and sweep at full depth (s)
+const MOD_SWEEPS = {
+    chorus: { base: 0.008, sweep: 0.004 },
+    vibrato: { base: 0.005, sweep: 0.003 },
+    flanger: { base: 0.003, sweep: 0.0025 }
+};
+
+// Tremolo LFO harmonics (sine terms of a PeriodicWave); sine uses the oscillator's own
+const TREMOLO_HARMONICS = {
+    square: [0, 1, 0, 1 / 3, 0, 1 / 5, 0, 1 / 7], // rounded, click-free square
+    bias: [0, 1, 0.35, 0.12]
+};
+
+// Longest hold-back of a cab IR slot (s): alignment plus the manual delay
+const MAX_CAB_DELAY = 0.02;
+
+// First sample of an IR within 20dB of its peak, per buffer
+const irOnsets = new WeakMap();
+
+function findOnset(buffer) {
+    if (!irOnsets.has(buffer)) {
+        // Loudest channel at each sample
+        const envelope = new Float32Array(buffer.length);
+        for (let c = 0; c < buffer.numberOfChannels; c++) {
+            const data = buffer.getChannelData(c);
+            for (let i = 0; i < data.length; i++) envelope[i] = Math.max(envelope[i], Math.abs(data[i]));
+        }
+        const peak = envelope.reduce((max, x) => Math.max(max, x), 0);
+        irOnsets.set(buffer, Math.max(envelope.findIndex(x => x >= peak * 0.1), 0));
+    }
+    return irOnsets.get(buffer);
+}
+
+// Longest delay time (s): a half note at the slowest tempo (30 BPM)
+const MAX_DELAY_TIME = 4;
+
+// Time constant (s) of AudioParam changes, keeps knob moves free of zipper noise
+const PARAM_SMOOTHING = 0.015;
+
+// Sample rate from a WAV header, or null if it can't be read
+function readWavSampleRate(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 12 || view.getUint32(0) !== 0x52494646 || view.getUint32(8) !== 0x57415645) {
+        return null; // not RIFF/WAVE
+    }
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const size = view.getUint32(offset + 4, true);
+        if (view.getUint32(offset) === 0x666d7420) { // 'fmt '
+            return offset + 16 <= view.byteLength ? view.getUint32(offset + 12, true) : null;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
 export class AudioEngine {
     constructor() {
         this.ctx = null;
         this.nodes = {};
         this.isInitialized = false;
         this.currentAmp = 'fender'; // Default
+        // Amp B's model (dual-amp mode)
+        this.currentAmpB = 'marshall';
         this.audioOutputDeviceId = 'default';
-        this.bufferSize = 128; // Default buffer size in ms
+        this.audioInputDeviceId = 'default';
+        // Interface channel the guitar is on: 'left', 'right' or 'mono' (sum)
+        this.inputChannel = 'mono';
+        this.inputNotice = null;
+        this.activeOutputDeviceId = 'default';
+        this.outputDeviceName = 'System Default';
+        // Set when the output couldn't go where it was asked to
+        this.outputNotice = null;
+        // Fallback output for browsers without AudioContext.setSinkId
+        this.outputElement = null;
+        // Called after the output device changes on its own (device unplugged)
+        this.onOutputDeviceChange = null;
+        this.bufferSize = 128; // Default buffer size in samples
+        this.sampleRate = 48000;
+        // WaveShaper oversampling: 'none', '2x' or '4x'
+        this.oversample = '4x';
+        this.initializing = null;
+
+        // Logical values of every param (see params.js) and switch; the
+        // node graph is always derived from these
+        this.values = getParamDefaults();
+        this.state = getSwitchDefaults();
+
+        // 'synth' uses the waveshaper, 'neural' the NAM worklet
+        this.ampStage = 'synth';
+        this.currentCapture = null;
+        this.neuralRequestId = 0;
+        this.neuralRequests = new Map();
+        // Worklet slots currently resident (slot -> model), their mix
+        // weights, and parsed bundled captures
+        this.neuralSlots = new Map();
+        this.neuralMix = {};
+        this.captureCache = new Map();
+        this.uploadCount = 0;
+
+        // Active capture set (GAIN morphs between its captures)
+        this.captureSet = null;
+        this.captureSetRevision = 0;
+        this.captureSetPosition = null;
+        this.captureMasterBinding = localStorage.getItem('captureMasterBinding') === 'true';
+
+        // Custom IR file ({ name, data, bundled, sampleRate }), kept so presets can store it.
+        // currentIR2 is the cab's second slot; the B fields are amp B's (see getIR)
+        this.currentIR = null;
+        this.currentIR2 = null;
+        this.currentIRB = null;
+        this.currentIR2B = null;
+
+        // Called after an EQ value changes (the curve display)
+        this.onEqUpdate = null;
+
+        // Block order (see BLOCKS); blocks left out are not wired in
+        this.chain = [...DEFAULT_CHAIN];
+        this.chainTimer = null;
+        // Called after the chain changes
+        this.onChainUpdate = null;
 
-        // State for switches to logic mapping
-        this.state = {
-            bright: false,
-            drive: false
+        // Room IR for the reverb's convolution type ({ name, data }) and its decoded buffer
+        this.reverbIR = null;
+        this.reverbIRBuffer = null;
+        this.reverbTimer = null;
+        this.ampReverbDefaults = localStorage.getItem('ampReverbDefaults') !== 'false';
+
+        // Live input, reconnected by rebuild()
+        this.inputStream = null;
+
+        // Holds the master at silence (mute while tuning)
+        this.outputMuted = false;
+
+        // Take in progress ({ chunks, sampleRate, promise, resolve })
+        this.recording = null;
+
+        // File player ('di' feeds the amp, 'backing' plays alongside it);
+        // times in seconds
+        this.player = {
+            name: null,
+            data: null,
+            duration: 0,
+            position: 0,
+            playing: false,
+            mode: 'di',
+            loop: false,
+            loopStart: 0,
+            loopEnd: 0,
+            speed: 1,
+            semitones: 0,
+            volume: 1
         };
+        // Called with the player state on position and transport changes
+        this.onPlayerUpdate = null;
+
+        // Song tempo (BPM) for tempo-based lengths
+        this.tempo = parseFloat(localStorage.getItem('tempo')) || 120;
+
+        // Looper ('bars' 0 records a free length); the rest mirrors the worklet
+        this.looper = {
+            bars: 0,
+            halfSpeed: false,
+            reverse: false,
+            level: 1,
+            state: 'empty',
+            layers: 0,
+            length: 0,
+            position: 0
+        };
+        this.looperRequests = new Map();
+        this.looperRequestId = 0;
+        this.onLooperUpdate = null;
+
+        navigator.mediaDevices?.addEventListener('devicechange', () => this.checkOutputDevice());
     }
 
     async init() {
         if (this.isInitialized) return;
+        // Several controls may ask for the engine at once
+        if (!this.initializing) {
+            this.initializing = this.createGraph().finally(() => {
+                this.initializing = null;
+            });
+        }
+        return this.initializing;
+    }
 
+    async createGraph() {
         // Load preferences from localStorage
         const savedBufferSize = localStorage.getItem('bufferSize');
         if (savedBufferSize) {
             this.bufferSize = parseInt(savedBufferSize);
         }
 
+        const savedSampleRate = localStorage.getItem('sampleRate');
+        if (savedSampleRate) {
+            this.sampleRate = parseInt(savedSampleRate);
+        }
+
+        const savedOversample = localStorage.getItem('oversampling');
+        if (savedOversample) {
+            this.oversample = savedOversample;
+        }
+
         const savedOutputDevice = localStorage.getItem('audioOutputDevice');
         if (savedOutputDevice) {
             this.audioOutputDeviceId = savedOutputDevice;
         }
 
-        // Map buffer size (ms) to latencyHint
-        let latencyHint = 'interactive'; // default
-        if (this.bufferSize <= 64) latencyHint = 'interactive';
-        else if (this.bufferSize <= 128) latencyHint = 'balanced';
-        else latencyHint = 'playback';
+        const savedInputDevice = localStorage.getItem('audioInputDevice');
+        if (savedInputDevice) {
+            this.audioInputDeviceId = savedInputDevice;
+        }
 
+        const savedInputChannel = localStorage.getItem('inputChannel');
+        if (savedInputChannel) {
+            this.inputChannel = savedInputChannel;
+        }
+
+        // Buffer size (samples) as a latencyHint in seconds
         this.ctx = new (window.AudioContext || window.webkitAudioContext)({
-            latencyHint: latencyHint,
-            sampleRate: 48000
+            latencyHint: this.bufferSize / this.sampleRate,
+            sampleRate: this.sampleRate
         });
 
-        // --- Create Nodes ---
+        // Amp chain worklets, plus the recorder, file player and looper the live graph adds
+        await Promise.all([
+            this.loadWorklets(this.ctx),
+            this.ctx.audioWorklet.addModule(new URL('./worklets/recorder-processor.js', import.meta.url)),
+            this.ctx.audioWorklet.addModule(new URL('./worklets/player-processor.js', import.meta.url)),
+            this.ctx.audioWorklet.addModule(new URL('./worklets/looper-processor.js', import.meta.url))
+        ]);
+
+        this.nodes = this.buildGraph(this.ctx);
+        this.nodes.gate.port.onmessage = (e) => {
+            if (e.data.type === 'state') this.gateOpen = e.data.open;
+        };
+        this.gateOpen = false;
+
+        // --- Live-only Nodes ---
 
-        // 1. Input Source
+        // Input Source (see connectInput)
         this.nodes.source = null;
 
-        // 2. Noise Gate
-        this.nodes.gate = this.ctx.createDynamicsCompressor();
-        this.nodes.gate.threshold.value = -60;
-        this.nodes.gate.ratio.value = 12;
-        this.nodes.gate.attack.value = 0;
-        this.nodes.gate.release.value = 0.25;
-
-        // 3. Bright Switch (High Shelf Boost at input)
-        this.nodes.bright = this.ctx.createBiquadFilter();
-        this.nodes.bright.type = 'highshelf';
-        this.nodes.bright.frequency.value = 4000;
-        this.nodes.bright.gain.value = 0; // Starts off
-
-        // 4. Compressor (Pedal style)
-        this.nodes.compressor = this.ctx.createDynamicsCompressor();
-        this.nodes.compressor.threshold.value = -30;
-        this.nodes.compressor.ratio.value = 1; // Starts off (1:1)
-        this.nodes.compressor.attack.value = 0.01;
-        this.nodes.compressor.release.value = 0.1;
+        // Tuner Tap (dry input, before the gate)
+        this.nodes.tunerTap = this.ctx.createAnalyser();
+        this.nodes.tunerTap.fftSize = TUNER_WINDOW;
+
+        // Analyser
+        this.nodes.analyser = this.ctx.createAnalyser();
+        this.nodes.analyser.fftSize = 256;
+        this.nodes.analyser.smoothingTimeConstant = 0.5;
+
+        // Recorder (input 0: dry DI before the gate, input 1: output after master)
+        this.nodes.recorder = new AudioWorkletNode(this.ctx, 'recorder-processor', {
+            numberOfInputs: 2,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        this.nodes.recorder.port.onmessage = (e) => this.handleRecorderMessage(e.data);
+
+        // File Player (into the DI bus or next to the master, see routePlayer)
+        this.nodes.player = new AudioWorkletNode(this.ctx, 'player-processor', {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2]
+        });
+        this.nodes.player.port.onmessage = (e) => this.handlePlayerMessage(e.data);
+        this.nodes.playerLevel = this.ctx.createGain();
+        this.nodes.player.connect(this.nodes.playerLevel);
+
+        // Looper (records after master, plays back under the live signal)
+        this.nodes.looper = new AudioWorkletNode(this.ctx, 'looper-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            channelCount: 2,
+            channelCountMode: 'explicit'
+        });
+        this.nodes.looper.port.onmessage = (e) => this.handleLooperMessage(e.data);
+        this.nodes.looperLevel = this.ctx.createGain();
+        this.nodes.looper.connect(this.nodes.looperLevel);
+
+        this.nodes.di.connect(this.nodes.tunerTap);
+        this.nodes.di.connect(this.nodes.recorder, 0, 0);
+        this.nodes.master.connect(this.nodes.analyser);
+        this.nodes.master.connect(this.nodes.recorder, 0, 1);
+        this.nodes.master.connect(this.nodes.looper);
+        this.nodes.looperLevel.connect(this.nodes.analyser);
+        this.nodes.looperLevel.connect(this.nodes.recorder, 0, 1);
+        this.nodes.analyser.connect(this.ctx.destination);
+        this.routePlayer();
+        this.applyLooperSettings();
+
+        this.isInitialized = true;
+
+        await this.applyOutputDevice(this.audioOutputDeviceId);
+
+        // Bring the new graph to the engine's state
+        this.setAmpModel(this.currentAmp);
+        this.setAmpModel(this.currentAmpB, 'B');
+        this.applyAllParams();
+        this.updateReverbImpulse();
+        console.log("Audio Engine Initialized");
+    }
+
+    // Worklet processors the amp chain needs (noise gate, neural amp)
+    loadWorklets(ctx) {
+        return Promise.all([
+            ctx.audioWorklet.addModule(new URL('./worklets/gate-processor.js', import.meta.url)),
+            ctx.audioWorklet.addModule(new URL('./worklets/nam-processor.js', import.meta.url))
+        ]);
+    }
+
+    // Builds the amp chain (input splitter -> ... -> master) on any
+    // BaseAudioContext and returns its nodes. Nothing is connected to the
+    // destination and no state is applied; see applyAllParams().
+    buildGraph(ctx) {
+        const nodes = {};
+
+        // --- Create Nodes ---
+
+        // 1. Input Channel (picks or sums the interface's L/R inputs)
+        nodes.inputSplitter = ctx.createChannelSplitter(2);
+        nodes.inputLeft = ctx.createGain();
+        nodes.inputLeft.gain.value = 0.5;
+        nodes.inputRight = ctx.createGain();
+        nodes.inputRight.gain.value = 0.5;
+
+        // 1b. DI Bus (the mono dry signal the amp starts from)
+        nodes.di = ctx.createGain();
+        nodes.di.channelCount = 1;
+        nodes.di.channelCountMode = 'explicit';
+
+        // 2. Noise Gate (a chain block; input 1 is the dry DI, its sidechain key)
+        nodes.gate = new AudioWorkletNode(ctx, 'gate-processor', {
+            numberOfInputs: 2,
+            numberOfOutputs: 1
+        });
+
+        // 3. Start of the chain (see routeChain) and the Bright Switch
+        // (High Shelf Boost at input)
+        nodes.chainInput = ctx.createGain();
+        nodes.bright = ctx.createBiquadFilter();
+        nodes.bright.type = 'highshelf';
+        nodes.bright.frequency.value = 4000;
+        nodes.bright.gain.value = 0; // Starts off
+
+        // 4. Compressor (Pedal style, crossfaded with its dry signal when bypassed)
+        nodes.compressorInput = ctx.createGain();
+        nodes.compressor = ctx.createDynamicsCompressor();
+        nodes.compressor.threshold.value = -30;
+        nodes.compressor.ratio.value = 1; // Starts off (1:1)
+        nodes.compressor.attack.value = 0.01;
+        nodes.compressor.release.value = 0.1;
+        nodes.compressorWet = ctx.createGain();
+        nodes.compressorDry = ctx.createGain();
+        nodes.compressorDry.gain.value = 0;
+        nodes.compressorOutput = ctx.createGain();
+
+        // 4b. Drive Pedals (see drive-pedals.js)
+        Object.entries(DRIVE_PEDALS).forEach(([id, pedal]) => this.buildDrivePedal(ctx, nodes, id, pedal));
+
+        // 5-9. Amp heads and cabs (see buildAmp), mixed into one
+        Object.keys(AMPS).forEach(amp => this.buildAmp(ctx, nodes, amp));
+        nodes.ampMix = ctx.createGain();
+
+        // 10. EQ (cuts -> parametric or graphic bands; see routeEq)
+        const biquad = (type, frequency, Q = 1) => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            filter.Q.value = Q;
+            return filter;
+        };
+        nodes.eqInput = ctx.createGain();
+        nodes.eqDry = ctx.createGain();
+        nodes.eqWet = ctx.createGain();
+        nodes.eqWet.gain.value = 0;
+        nodes.eqOutput = ctx.createGain();
+        CUT_SLOPES[CUT_SLOPES.length - 1].stages.forEach((_, i) => {
+            nodes[`eqLowCut${i}`] = biquad('highpass', 20);
+            nodes[`eqHighCut${i}`] = biquad('lowpass', 20000);
+        });
+        EQ_BANDS.forEach((band, i) => {
+            nodes[`eqBand${i + 1}`] = biquad(band.type, band.frequency);
+        });
+        GRAPHIC_BANDS.forEach((frequency, i) => {
+            nodes[`eqGraphic${i + 1}`] = biquad('peaking', frequency, 1.4);
+        });
+
+        // 10a. Modulation
+        // One LFO drives whichever path the type wires in (see routeModulation).
+        nodes.modInput = ctx.createGain();
+        nodes.modDry = ctx.createGain();
+        nodes.modWet = ctx.createGain();
+        nodes.modWet.gain.value = 0;
+        nodes.modOutput = ctx.createGain();
+        nodes.modMerger = ctx.createChannelMerger(2);
+        nodes.modLfo = ctx.createOscillator();
+        nodes.modLfo.start();
+        // Chorus / vibrato / flanger: swept delays (the right side sweeps in
+        // opposite phase for the stereo chorus)
+        nodes.modDelayLeft = ctx.createDelay(0.05);
+        nodes.modDelayRight = ctx.createDelay(0.05);
+        nodes.modSweepLeft = ctx.createGain();
+        nodes.modSweepRight = ctx.createGain();
+        nodes.modFeedback = ctx.createGain();
+        nodes.modFeedback.gain.value = 0.5; // flanger resonance
+        // Phaser: swept allpass stages
+        nodes.modAllpass = [0, 1, 2, 3].map(() => {
+            const filter = ctx.createBiquadFilter();
+            filter.type = 'allpass';
+            filter.frequency.value = 800;
+            return filter;
+        });
+        nodes.modPhaserSweep = ctx.createGain();
+        // Tremolo: LFO on a gain
+        nodes.modTremolo = ctx.createGain();
+        nodes.modTremoloDepth = ctx.createGain();
+
+        // 10b. Delay (dry passes straight through; see routeDelay / applyDelay)
+        nodes.delayInput = ctx.createGain();
+        nodes.delaySend = ctx.createGain();
+        nodes.delaySend.gain.value = 0;
+        nodes.delaySend.channelCount = 1;
+        nodes.delaySend.channelCountMode = 'explicit';
+        nodes.delayLeft = ctx.createDelay(MAX_DELAY_TIME + 0.1);
+        nodes.delayRight = ctx.createDelay(MAX_DELAY_TIME + 0.1);
+        nodes.delayCross = ctx.createGain();
+        nodes.delayLowCut = ctx.createBiquadFilter();
+        nodes.delayLowCut.type = 'highpass';
+        nodes.delayHighCut = ctx.createBiquadFilter();
+        nodes.delayHighCut.type = 'lowpass';
+        nodes.delayFeedback = ctx.createGain();
+        nodes.delayMerger = ctx.createChannelMerger(2);
+        nodes.delayWet = ctx.createGain();
+        nodes.delayWet.gain.value = 0;
+        nodes.delayOutput = ctx.createGain();
+
+        // Modulation sways the delay time (tape wow)
+        nodes.delayModOsc = ctx.createOscillator();
+        nodes.delayModDepth = ctx.createGain();
+        nodes.delayModDepth.gain.value = 0;
+        nodes.delayModOsc.start();
+
+        // 10c. Reverb
+        nodes.reverbInput = ctx.createGain();
+        nodes.reverbSend = ctx.createGain();
+        nodes.reverbSend.gain.value = 0;
+        nodes.reverbPreDelay = ctx.createDelay(0.3);
+        nodes.reverb = ctx.createConvolver();
+        nodes.reverbTone = ctx.createBiquadFilter();
+        nodes.reverbTone.type = 'lowpass';
+        nodes.reverbWet = ctx.createGain();
+        nodes.reverbWet.gain.value = 0;
+        nodes.reverbOutput = ctx.createGain();
+
+        // 10d. End of the chain, faded out while it's rewired
+        nodes.chainOutput = ctx.createGain();
+
+        // 11. Master Volume
+        nodes.master = ctx.createGain();
+        nodes.master.gain.value = 1.0;
+
+        // --- Connect Graph ---
+        // (Source -> Input Splitter)
+        nodes.inputSplitter.connect(nodes.inputLeft, 0);
+        nodes.inputSplitter.connect(nodes.inputRight, 1);
+        nodes.inputLeft.connect(nodes.di);
+        nodes.inputRight.connect(nodes.di);
+        nodes.di.connect(nodes.gate, 0, 1);
+        nodes.di.connect(nodes.chainInput);
+        // (Chain input -> bright and chain blocks -> master, see routeChain)
+        Object.values(AMPS).forEach(suffix => nodes[`ampPan${suffix}`].connect(nodes.ampMix));
+        nodes.compressorInput.connect(nodes.compressor);
+        nodes.compressor.connect(nodes.compressorWet);
+        nodes.compressorInput.connect(nodes.compressorDry);
+        nodes.compressorWet.connect(nodes.compressorOutput);
+        nodes.compressorDry.connect(nodes.compressorOutput);
+        nodes.eqInput.connect(nodes.eqDry);
+        nodes.eqDry.connect(nodes.eqOutput);
+        nodes.eqWet.connect(nodes.eqOutput);
+        nodes.modInput.connect(nodes.modDry);
+        nodes.modDry.connect(nodes.modOutput);
+        nodes.modMerger.connect(nodes.modWet);
+        nodes.modWet.connect(nodes.modOutput);
+        nodes.modLfo.connect(nodes.modSweepLeft);
+        nodes.modLfo.connect(nodes.modSweepRight);
+        nodes.modSweepLeft.connect(nodes.modDelayLeft.delayTime);
+        nodes.modSweepRight.connect(nodes.modDelayRight.delayTime);
+        nodes.modLfo.connect(nodes.modPhaserSweep);
+        nodes.modAllpass.forEach((filter, i) => {
+            nodes.modPhaserSweep.connect(filter.frequency);
+            if (i > 0) nodes.modAllpass[i - 1].connect(filter);
+        });
+        nodes.modLfo.connect(nodes.modTremoloDepth);
+        nodes.modTremoloDepth.connect(nodes.modTremolo.gain);
+        nodes.delayInput.connect(nodes.delayOutput);
+        nodes.delayInput.connect(nodes.delaySend);
+        nodes.delayLowCut.connect(nodes.delayHighCut);
+        nodes.delayHighCut.connect(nodes.delayFeedback);
+        nodes.delayModOsc.connect(nodes.delayModDepth);
+        nodes.delayModDepth.connect(nodes.delayLeft.delayTime);
+        nodes.delayModDepth.connect(nodes.delayRight.delayTime);
+        nodes.delayMerger.connect(nodes.delayWet);
+        nodes.delayWet.connect(nodes.delayOutput);
+        nodes.reverbInput.connect(nodes.reverbOutput);
+        nodes.reverbInput.connect(nodes.reverbSend);
+        nodes.reverbSend.connect(nodes.reverbPreDelay);
+        nodes.reverbPreDelay.connect(nodes.reverb);
+        nodes.reverb.connect(nodes.reverbTone);
+        nodes.reverbTone.connect(nodes.reverbWet);
+        nodes.reverbWet.connect(nodes.reverbOutput);
+        this.routeEq(nodes);
+        this.routeModulation(nodes);
+        this.routeDelay(nodes);
+        this.routeChain(nodes);
+        nodes.chainOutput.connect(nodes.master);
+
+        return nodes;
+    }
+
+    // One amp: pre-amp gain -> voice -> distortion -> tone stack -> presence
+    // (the head) and its cab -> level -> polarity -> pan into ampMix. Node
+    // names carry the amp's suffix (cabInput, cabInputB); only amp A has
+    // the neural stage, captures load into it.
+    buildAmp(ctx, nodes, amp) {
+        const head = {};
 
         // 5. Pre-Amp Gain
-        this.nodes.preGain = this.ctx.createGain();
-        this.nodes.preGain.gain.value = 3.0;
+        head.preGain = ctx.createGain();
+        head.preGain.gain.value = 3.0;
 
         // 6. Voice (Mid shaping before drive)
-        this.nodes.voice = this.ctx.createBiquadFilter();
-        this.nodes.voice.type = 'peaking';
-        this.nodes.voice.frequency.value = 800;
-        this.nodes.voice.Q.value = 1.0;
-        this.nodes.voice.gain.value = 0;
+        head.voice = ctx.createBiquadFilter();
+        head.voice.type = 'peaking';
+        head.voice.frequency.value = 800;
+        head.voice.Q.value = 1.0;
+        head.voice.gain.value = 0;
 
         // 7. Distortion Stage
-        this.nodes.distortion = this.ctx.createWaveShaper();
-        this.nodes.distortion.curve = this.makeDistortionCurve(0);
-        this.nodes.distortion.oversample = '4x';
+        head.distortion = ctx.createWaveShaper();
+        head.distortion.curve = this.makeDistortionCurve(0);
+        head.distortion.oversample = this.oversample;
+
+        // 7b. Neural Amp Stage (NAM captures, swapped in for the waveshaper)
+        if (amp === 'A') {
+            head.neural = new AudioWorkletNode(ctx, 'nam-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                outputChannelCount: [1]
+            });
+            head.neural.port.onmessage = (e) => this.handleNeuralMessage(e.data);
+        }
 
         // 8. Tone Stack (Bass, Mid, Treble) - Passive stylization
-        this.nodes.bass = this.ctx.createBiquadFilter();
-        this.nodes.bass.type = 'lowshelf';
-        this.nodes.bass.frequency.value = 250;
+        head.bass = ctx.createBiquadFilter();
+        head.bass.type = 'lowshelf';
+        head.bass.frequency.value = 250;
 
-        this.nodes.mid = this.ctx.createBiquadFilter();
-        this.nodes.mid.type = 'peaking';
-        this.nodes.mid.frequency.value = 500;
-        this.nodes.mid.Q.value = 1.0;
+        head.mid = ctx.createBiquadFilter();
+        head.mid.type = 'peaking';
+        head.mid.frequency.value = 500;
+        head.mid.Q.value = 1.0;
 
-        this.nodes.treble = this.ctx.createBiquadFilter();
-        this.nodes.treble.type = 'highshelf';
-        this.nodes.treble.frequency.value = 2500;
+        head.treble = ctx.createBiquadFilter();
+        head.treble.type = 'highshelf';
+        head.treble.frequency.value = 2500;
 
         // 9. Presence (High freq emphasis in power amp)
-        this.nodes.presence = this.ctx.createBiquadFilter();
-        this.nodes.presence.type = 'peaking';
-        this.nodes.presence.frequency.value = 3000; // Presence range
-        this.nodes.presence.Q.value = 0.7;
-        this.nodes.presence.gain.value = 0;
+        head.presence = ctx.createBiquadFilter();
+        head.presence.type = 'peaking';
+        head.presence.frequency.value = 3000; // Presence range
+        head.presence.Q.value = 0.7;
+        head.presence.gain.value = 0;
 
-        // 10. Cabinet (IR)
-        this.nodes.cab = this.ctx.createConvolver();
-        this.setInternalCab('fender'); // Default load
+        // 9b. Cabinet: two IR slots, each held back, levelled and panned
+        // (see applyCab); slot 2 is silent until it gets an IR
+        head.cabInput = ctx.createGain();
+        head.cabMix = ctx.createGain();
+        Object.values(CAB_SLOTS).forEach(slot => {
+            head[`cab${slot}`] = ctx.createConvolver();
+            head[`cabDelay${slot}`] = ctx.createDelay(MAX_CAB_DELAY);
+            head[`cabGain${slot}`] = ctx.createGain();
+            head[`cabPan${slot}`] = ctx.createStereoPanner();
+            head[`cabPan${slot}`].channelCount = 2;
+            head[`cabPan${slot}`].channelCountMode = 'explicit';
 
-        // 11. Master Volume
-        this.nodes.master = this.ctx.createGain();
-        this.nodes.master.gain.value = 1.0;
+            head.cabInput.connect(head[`cab${slot}`]);
+            head[`cab${slot}`].connect(head[`cabDelay${slot}`]);
+            head[`cabDelay${slot}`].connect(head[`cabGain${slot}`]);
+            head[`cabGain${slot}`].connect(head[`cabPan${slot}`]);
+            head[`cabPan${slot}`].connect(head.cabMix);
+        });
 
-        // 12. Analyser
-        this.nodes.analyser = this.ctx.createAnalyser();
-        this.nodes.analyser.fftSize = 256;
-        this.nodes.analyser.smoothingTimeConstant = 0.5;
+        // 9c. Mix: level, polarity (amp B's flips) and pan. The panner takes
+        // the mono cab as stereo, so it's unity in the centre.
+        head.ampLevel = ctx.createGain();
+        head.ampPolarity = ctx.createGain();
+        head.ampPan = ctx.createStereoPanner();
+        head.ampPan.channelCount = 2;
+        head.ampPan.channelCountMode = 'explicit';
 
-        // --- Connect Graph ---
-        // (Source -> Gate)
-        this.nodes.gate.connect(this.nodes.bright);
-        this.nodes.bright.connect(this.nodes.compressor);
-        this.nodes.compressor.connect(this.nodes.preGain);
-        this.nodes.preGain.connect(this.nodes.voice);
-        this.nodes.voice.connect(this.nodes.distortion);
-        this.nodes.distortion.connect(this.nodes.bass);
-        this.nodes.bass.connect(this.nodes.mid);
-        this.nodes.mid.connect(this.nodes.treble);
-        this.nodes.treble.connect(this.nodes.presence);
-        this.nodes.presence.connect(this.nodes.cab);
-        this.nodes.cab.connect(this.nodes.master);
-        this.nodes.master.connect(this.nodes.analyser);
-        this.nodes.analyser.connect(this.ctx.destination);
+        head.preGain.connect(head.voice);
+        head.voice.connect(head.distortion);
+        head.distortion.connect(head.bass);
+        if (head.neural) head.neural.connect(head.bass);
+        head.bass.connect(head.mid);
+        head.mid.connect(head.treble);
+        head.treble.connect(head.presence);
+        head.cabMix.connect(head.ampLevel);
+        head.ampLevel.connect(head.ampPolarity);
+        head.ampPolarity.connect(head.ampPan);
 
-        this.isInitialized = true;
+        Object.entries(head).forEach(([name, node]) => {
+            nodes[`${name}${AMPS[amp]}`] = node;
+        });
+    }
 
-        // Apply initial defaults again to be safe
-        this.setAmpModel('fender');
-        console.log("Audio Engine Initialized");
+    // input -> pre filters -> gain -> shaper -> DC block -> tone -> level -> wet -> output,
+    // with a dry path for the bypass crossfade
+    buildDrivePedal(ctx, nodes, id, pedal) {
+        const filter = (type, frequency, Q = 0.7) => {
+            const node = ctx.createBiquadFilter();
+            node.type = type;
+            node.frequency.value = frequency;
+            node.Q.value = Q;
+            return node;
+        };
+
+        nodes[`${id}Input`] = ctx.createGain();
+        nodes[`${id}Dry`] = ctx.createGain();
+        nodes[`${id}Gain`] = ctx.createGain();
+        nodes[`${id}Shaper`] = ctx.createWaveShaper();
+        nodes[`${id}Shaper`].curve = makeClipCurve(pedal.clip);
+        nodes[`${id}Shaper`].oversample = this.oversample;
+        // Asymmetric clipping leaves a DC offset
+        nodes[`${id}DcBlock`] = filter('highpass', 20);
+        nodes[`${id}Tone`] = filter(pedal.tone.type, pedal.tone.frequency || pedal.tone.range[1]);
+        nodes[`${id}Level`] = ctx.createGain();
+        nodes[`${id}Wet`] = ctx.createGain();
+        nodes[`${id}Wet`].gain.value = 0;
+        nodes[`${id}Output`] = ctx.createGain();
+
+        const path = [
+            nodes[`${id}Input`],
+            ...pedal.pre.map(spec => filter(spec.type, spec.frequency, spec.Q)),
+            nodes[`${id}Gain`],
+            nodes[`${id}Shaper`],
+            nodes[`${id}DcBlock`],
+            nodes[`${id}Tone`],
+            nodes[`${id}Level`],
+            nodes[`${id}Wet`],
+            nodes[`${id}Output`]
+        ];
+        path.slice(1).forEach((node, i) => path[i].connect(node));
+        nodes[`${id}Input`].connect(nodes[`${id}Dry`]);
+        nodes[`${id}Dry`].connect(nodes[`${id}Output`]);
     }
 
     async startInput() {
@@ -142,29 +724,108 @@ export class AudioEngine {
 
         try {
             await this.ctx.resume();
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: false,
-                    autoGainControl: false,
-                    noiseSuppression: false,
-                    latency: 0
-                }
-            });
+            await this.openInput();
+            return true;
+        } catch (err) {
+            console.error("Error accessing microphone:", err);
+            return false;
+        }
+    }
+
+    // Opens the selected input device, or the default one if it is gone
+    async openInput() {
+        const constraints = {
+            echoCancellation: false,
+            autoGainControl: false,
+            noiseSuppression: false,
+            latency: 0,
+            channelCount: { ideal: 2 }
+        };
 
-            if (this.nodes.source) {
-                this.nodes.source.disconnect();
+        this.inputNotice = null;
+        let stream = null;
+        if (this.audioInputDeviceId !== 'default') {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    audio: { ...constraints, deviceId: { exact: this.audioInputDeviceId } }
+                });
+            } catch (err) {
+                if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+                this.inputNotice = 'Saved input device not found, using System Default';
+                console.warn(this.inputNotice, this.audioInputDeviceId);
             }
+        }
+        if (!stream) stream = await navigator.mediaDevices.getUserMedia({ audio: constraints });
 
-            this.nodes.source = this.ctx.createMediaStreamSource(stream);
-            this.nodes.source.connect(this.nodes.gate);
+        this.connectInput(stream);
+    }
 
-            return true;
+    connectInput(stream) {
+        if (this.nodes.source) {
+            this.nodes.source.disconnect();
+        }
+        if (this.inputStream && this.inputStream !== stream) {
+            this.inputStream.getTracks().forEach(track => track.stop());
+        }
+
+        this.inputStream = stream;
+        this.nodes.source = this.ctx.createMediaStreamSource(stream);
+        this.nodes.source.connect(this.nodes.inputSplitter);
+        this.applyInputChannel();
+    }
+
+    applyInputChannel() {
+        let left = 0.5;
+        let right = 0.5;
+        if (this.player.playing && this.player.mode === 'di') {
+            // The file player stands in for the guitar
+            left = 0;
+            right = 0;
+        } else if (this.inputChannel === 'left' || this.getInputChannelCount() < 2) {
+            // A mono device only has the left channel
+            left = 1;
+            right = 0;
+        } else if (this.inputChannel === 'right') {
+            left = 0;
+            right = 1;
+        }
+        this.nodes.inputLeft.gain.value = left;
+        this.nodes.inputRight.gain.value = right;
+    }
+
+    getInputChannelCount() {
+        const track = this.inputStream && this.inputStream.getAudioTracks()[0];
+        return (track && track.getSettings().channelCount) || 2;
+    }
+
+    getInputDeviceName() {
+        const track = this.inputStream && this.inputStream.getAudioTracks()[0];
+        return track ? track.label || 'Audio Input' : null;
+    }
+
+    // Swaps the input live; the amp keeps running
+    async setInputDevice(deviceId) {
+        this.audioInputDeviceId = deviceId;
+        localStorage.setItem('audioInputDevice', deviceId);
+        console.log('Audio input device set to:', deviceId);
+
+        if (!this.isInitialized || !this.inputStream) return true;
+        try {
+            await this.openInput();
+            return !this.inputNotice;
         } catch (err) {
-            console.error("Error accessing microphone:", err);
+            console.error("Error opening input device:", err);
+            this.inputNotice = `Could not open input: ${err.message}`;
             return false;
         }
     }
 
+    setInputChannel(channel) {
+        this.inputChannel = channel;
+        localStorage.setItem('inputChannel', channel);
+        if (this.isInitialized) this.applyInputChannel();
+    }
+
     togglePower() {
         if (!this.ctx) return false;
         if (this.ctx.state === 'suspended') {
@@ -180,114 +841,764 @@ export class AudioEngine {
     // --- Params ---
 
     setParam(param, value) {
+        const def = PARAMS[param];
+        if (!def) {
+            console.warn(`Unknown param: ${param}`);
+            return;
+        }
+        const clamped = Math.min(Math.max(value, def.min), def.max);
+        this.values[param] = def.step ? def.min + Math.round((clamped - def.min) / def.step) * def.step : clamped;
+        const isEq = param.startsWith('eq');
+        if (isEq && this.onEqUpdate) this.onEqUpdate();
         if (!this.isInitialized) return;
 
-        // Value normalization (optional, depends on usage)
-        switch (param) {
-            case 'gate':
-                this.nodes.gate.threshold.value = value;
-                break;
-            case 'compressor':
-                // Single knob controls Ratio and Threshold for simple operation
-                // Value 0-1
-                // Ratio 1:1 -> 12:1
-                // Threshold -30 -> -50
-                const ratio = 1 + (value * 11);
-                const thresh = -30 - (value * 20);
-                this.nodes.compressor.ratio.value = ratio;
-                this.nodes.compressor.threshold.value = thresh;
-                break;
-            case 'preGain':
-                // Base gain * multiplier if drive is on
-                const multiplier = this.state.drive ? 2.0 : 1.0;
-                this.nodes.preGain.gain.value = value * multiplier;
-                // Update distortion curve based on new gain value
-                this.updateDistortion();
-                break;
-            case 'voice':
-                // Enhanced voice control for harmonic richness
-                // Positive values boost mids for warmth, negative values scoop for clarity
-                this.nodes.voice.gain.value = value * 3; // -5 to 5 -> -15dB to 15dB
-                // Adjust Q for more musical response
-                this.nodes.voice.Q.value = 1.5 + Math.abs(value) * 0.2;
-                break;
-            case 'bass':
-                this.nodes.bass.gain.value = value; // -10 to 10 typical
-                break;
-            case 'mid':
-                this.nodes.mid.gain.value = value;
-                break;
-            case 'treble':
-                this.nodes.treble.gain.value = value;
-                break;
-            case 'presence':
-                this.nodes.presence.gain.value = value; // 0-10 -> 0-10dB
-                break;
-            case 'master':
-                this.nodes.master.gain.value = value * 0.2; // Scaling down for safety
-                break;
+        this.applyParam(param, def.smooth !== false);
+
+        // Values computed from this param
+        if (param === 'preGain') {
+            this.applyPreGain();
+            if (this.captureSet) this.updateCaptureSet();
+        } else if (param === 'preGainB') {
+            this.applyPreGain(true, this.nodes, 'B');
+        } else if (param === 'ampSelect') {
+            this.rewireChain();
+        } else if (param.startsWith('cab')) {
+            this.applyCab(true, this.nodes, param.endsWith('B') ? 'B' : 'A');
+        } else if (param === 'master') {
+            if (this.captureSet && this.captureMasterBinding) this.updateCaptureSet();
+        } else if (param === 'delayTime' || param === 'delaySync' || param === 'delayMix') {
+            this.applyDelay();
+        } else if (param === 'eqMode' || param === 'eqLowCutSlope' || param === 'eqHighCutSlope') {
+            this.routeEq(this.nodes);
+        } else if (isEq) {
+            this.applyEq();
+        } else if (param === 'modType' || param === 'modShape') {
+            this.routeModulation(this.nodes);
+            this.applyModulation();
+        } else if (param.startsWith('mod')) {
+            this.applyModulation();
+        } else if (param === 'reverbType' || param === 'reverbDecay') {
+            this.scheduleReverbImpulse();
+        } else if (param === 'reverbMix') {
+            this.applyReverb();
         }
     }
 
+    getParam(param) {
+        return this.values[param];
+    }
+
+    // Snapshot for the UI and controllers
+    getState() {
+        return {
+            amp: this.currentAmp,
+            ampB: this.currentAmpB,
+            ampStage: this.ampStage,
+            params: { ...this.values },
+            switches: { ...this.state },
+            chain: this.getChain(),
+            capture: this.currentCapture ? this.currentCapture.name : null,
+            ir: this.currentIR ? this.currentIR.name : null,
+            ir2: this.currentIR2 ? this.currentIR2.name : null,
+            irB: this.currentIRB ? this.currentIRB.name : null,
+            ir2B: this.currentIR2B ? this.currentIR2B.name : null
+        };
+    }
+
     toggleSwitch(switchName, isActive) {
+        if (!(switchName in SWITCHES)) return;
+        this.state[switchName] = isActive;
+        if (switchName.startsWith('eq') && this.onEqUpdate) this.onEqUpdate();
         if (!this.isInitialized) return;
 
-        if (switchName === 'bright') {
-            this.nodes.bright.gain.value = isActive ? 6 : 0; // +6dB High Shelf
-        } else if (switchName === 'drive') {
-            this.state.drive = isActive;
-            // Re-apply gain to update with multiplier
-            // We need to read current knob value... effectively we need UI to send it or store it.
-            // For now, simpler: we just modify the gain node relative to current or assume UI triggers a gain update too.
-            // Actually, best way: let UI handle the value re-send, or just double current value.
-            // Safe approach: The UI usually resends knob value on load, but here we just toggle multiplier.
-            // We'll read the current gain and adjust.
-            const currentBase = this.nodes.preGain.gain.value / (isActive ? 1.0 / 3.0 : 3.0); // reverse calc? messy.
-            // Let's rely on the fact that changing the character changes distortion curve too potentially.
-            // Simpler: Just boost the distortion curve intensity?
-            // Let's just update the distortion curve for "Drive" mode.
-            this.updateDistortion();
-        }
-    }
-
-    setAmpModel(model) {
+        this.applySwitch(switchName, true);
+        if (switchName === 'drive') this.applyPreGain();
+        else if (switchName === 'driveB') this.applyPreGain(true, this.nodes, 'B');
+        else if (switchName.startsWith('cab')) this.applyCab(true, this.nodes, switchName.endsWith('B') ? 'B' : 'A');
+        else if (switchName === 'delay' || switchName === 'delaySpillover') this.applyDelay();
+        else if (switchName === 'delayPingPong') this.routeDelay(this.nodes);
+        else if (switchName.startsWith('eqBand')) this.applyEq();
+        else if (switchName === 'mod') this.applyModulation();
+        else if (switchName === 'reverb' || switchName === 'reverbSpillover') this.applyReverb();
+    }
+
+    // `nodes` is the live graph unless an offline render passes its own
+    applyParam(param, smooth, nodes = this.nodes) {
+        const value = this.values[param];
+        PARAMS[param].targets.forEach(target => {
+            // A muted output keeps the master at zero; the knob still moves
+            const muted = target.node === 'master' && this.outputMuted && nodes === this.nodes;
+            this.setAudioParam(this.getAudioParam(target.node, target.param, nodes), muted ? 0 : target.map(value), smooth);
+        });
+    }
+
+    applySwitch(switchName, smooth, nodes = this.nodes) {
+        const isActive = this.state[switchName];
+        SWITCHES[switchName].targets.forEach(target => {
+            this.setAudioParam(this.getAudioParam(target.node, target.param, nodes), target.map(isActive), smooth);
+        });
+    }
+
+    // Pushes every logical value into a freshly built graph
+    applyAllParams(nodes = this.nodes) {
+        Object.keys(PARAMS).forEach(param => this.applyParam(param, false, nodes));
+        Object.keys(SWITCHES).forEach(name => this.applySwitch(name, false, nodes));
+        this.applyPreGain(false, nodes);
+        this.applyPreGain(false, nodes, 'B');
+        Object.keys(AMPS).forEach(amp => this.applyCab(false, nodes, amp));
+        this.routeEq(nodes);
+        this.applyEq(false, nodes);
+        this.routeModulation(nodes);
+        this.applyModulation(false, nodes);
+        this.routeDelay(nodes);
+        this.applyDelay(false, nodes);
+        this.routeChain(nodes);
+        this.applyReverb(false, nodes);
+    }
+
+    getAudioParam(nodeName, paramName, nodes = this.nodes) {
+        const node = nodes[nodeName];
+        return node instanceof AudioWorkletNode ? node.parameters.get(paramName) : node[paramName];
+    }
+
+    setAudioParam(audioParam, value, smooth = true) {
+        if (smooth) {
+            audioParam.setTargetAtTime(value, this.ctx.currentTime, PARAM_SMOOTHING);
+        } else {
+            audioParam.cancelScheduledValues(0);
+            audioParam.value = value;
+        }
+    }
+
+    getDriveMultiplier(amp = 'A') {
+        return this.state[`drive${AMPS[amp]}`] ? 2.0 : 1.0;
+    }
+
+    // `amp` is 'A' or 'B' here and in the other per-amp methods
+    applyPreGain(smooth = true, nodes = this.nodes, amp = 'A') {
+        // Base gain * multiplier if drive is on
+        const multiplier = this.getDriveMultiplier(amp);
+        let gain;
+        if (amp === 'B') {
+            // Amp B has no neural stage
+            gain = this.values.preGainB * multiplier;
+            this.updateDistortion(nodes, amp);
+        } else if (this.ampStage === 'neural' && this.captureSet) {
+            // The capture set itself follows the GAIN knob
+            gain = multiplier;
+        } else if (this.ampStage === 'neural') {
+            // Captures expect instrument level, so scale around unity
+            gain = (this.values.preGain / NEURAL_UNITY_GAIN) * multiplier;
+        } else {
+            gain = this.values.preGain * multiplier;
+            // Update distortion curve based on new gain value
+            this.updateDistortion(nodes);
+        }
+        this.setAudioParam(nodes[`preGain${AMPS[amp]}`].gain, gain, smooth);
+    }
+
+    getAmpModel(amp = 'A') {
+        return amp === 'B' ? this.currentAmpB : this.currentAmp;
+    }
+
+    setAmpModel(model, amp = 'A') {
+        if (amp === 'B') {
+            this.currentAmpB = model;
+            if (!this.isInitialized) return;
+            this.updateDistortion(this.nodes, amp);
+            this.setInternalCab(model, amp);
+            return;
+        }
         this.currentAmp = model;
         this.updateDistortion();
         this.setInternalCab(model);
     }
 
-    updateDistortion() {
-        // Get current gain value to determine distortion amount
-        const currentGain = this.nodes.preGain.gain.value;
+    updateDistortion(nodes = this.nodes, amp = 'A') {
+        const suffix = AMPS[amp];
+        const model = this.getAmpModel(amp);
+        const drive = this.state[`drive${suffix}`];
+        // Gain reaching the waveshaper determines distortion amount
+        const currentGain = this.values[`preGain${suffix}`] * this.getDriveMultiplier(amp);
 
         // Base distortion amounts for each amp (much lower for cleaner tones)
         let baseAmount = 0;
 
-        if (this.currentAmp === 'fender') {
+        if (model === 'fender') {
             // Fender Deluxe: Clean with warm tube compression
-            baseAmount = this.state.drive ? 8 : 0.5;
-        } else if (this.currentAmp === 'vox') {
+            baseAmount = drive ? 8 : 0.5;
+        } else if (model === 'vox') {
             // VOX AC30: Chimey with moderate breakup
-            baseAmount = this.state.drive ? 15 : 2;
-        } else if (this.currentAmp === 'marshall') {
+            baseAmount = drive ? 15 : 2;
+        } else if (model === 'marshall') {
             // Marshall Plexi: Clear articulation with controlled gain
-            baseAmount = this.state.drive ? 25 : 3;
+            baseAmount = drive ? 25 : 3;
         }
 
         // Scale distortion based on actual gain setting (only add distortion if gain > 2)
         const gainFactor = Math.max(0, (currentGain - 2) / 8);
         const finalAmount = baseAmount * (0.2 + gainFactor * 0.8);
 
-        this.nodes.distortion.curve = this.makeDistortionCurve(finalAmount);
+        nodes[`distortion${suffix}`].curve = this.makeDistortionCurve(finalAmount);
+    }
+
+    // --- Effects Chain ---
+
+    getChain() {
+        return [...this.chain];
+    }
+
+    // Replaces the block order (e.g. from a preset). Unknown or repeated
+    // blocks are dropped, kept blocks it lacks go first (chains saved before
+    // the gate was a block); without both the amp and the cab it's the default.
+    setChain(chain) {
+        const missing = Object.keys(BLOCKS).filter(id => BLOCKS[id].kept && !chain.includes(id));
+        chain = [...missing, ...chain];
+        const valid = chain.filter((id, i) => id in BLOCKS && chain.indexOf(id) === i);
+        const anchored = valid.includes('amp') && valid.includes('cab') && valid.indexOf('amp') < valid.indexOf('cab');
+        this.chain = anchored ? valid : [...DEFAULT_CHAIN];
+        this.rewireChain();
+    }
+
+    // Adds a block that's not in the chain at `index`
+    insertBlock(id, index) {
+        if (!(id in BLOCKS) || this.chain.includes(id)) return;
+        this.chain.splice(index, 0, id);
+        this.rewireChain();
+    }
+
+    removeBlock(id) {
+        if (!BLOCKS[id] || BLOCKS[id].fixed || BLOCKS[id].kept || !this.chain.includes(id)) return;
+        this.chain.splice(this.chain.indexOf(id), 1);
+        this.rewireChain();
+    }
+
+    // `index` is the position in the chain without the block
+    moveBlock(id, index) {
+        if (!BLOCKS[id] || BLOCKS[id].fixed || !this.chain.includes(id)) return;
+        this.chain.splice(this.chain.indexOf(id), 1);
+        this.chain.splice(index, 0, id);
+        this.rewireChain();
+    }
+
+    // Fades the chain out, rewires it and fades back in
+    rewireChain() {
+        if (this.onChainUpdate) this.onChainUpdate(this.getChain());
+        if (!this.isInitialized) return;
+
+        const fade = this.nodes.chainOutput.gain;
+        fade.setTargetAtTime(0, this.ctx.currentTime, CHAIN_FADE);
+        clearTimeout(this.chainTimer);
+        this.chainTimer = setTimeout(() => {
+            this.routeChain(this.nodes);
+            fade.setTargetAtTime(1, this.ctx.currentTime, CHAIN_FADE);
+        }, CHAIN_FADE * 8 * 1000);
+    }
+
+    // Wires chainInput -> bright -> each block in chain order -> chainOutput,
+    // with the bright switch after the gate when the chain opens with it, so
+    // the gate sees the plain DI as it did before it became a block. Blocks
+    // left out of the chain are disconnected. The amp and the cab are the
+    // selected amps' (see AMP_SELECTIONS); with both, the blocks in the FX
+    // loop follow the mixed cabs.
+    routeChain(nodes) {
+        const amps = AMP_SELECTIONS[this.values.ampSelect].amps;
+        Object.values(BLOCKS).forEach(block => nodes[block.output].disconnect());
+        nodes.presenceB.disconnect();
+        nodes.chainInput.disconnect();
+        nodes.bright.disconnect();
+
+        let order = this.chain;
+        if (amps.length > 1) {
+            const loop = order.slice(order.indexOf('amp') + 1, order.indexOf('cab'));
+            order = order.filter(id => !loop.includes(id));
+            order.splice(order.indexOf('cab') + 1, 0, ...loop);
+        }
+
+        // Ends of the chain so far: one per amp between the heads and the cabs
+        const gateFirst = order[0] === 'gate';
+        let previous = [nodes.chainInput];
+        if (!gateFirst) {
+            nodes.chainInput.connect(nodes.bright);
+            previous = [nodes.bright];
+        }
+        order.forEach((id, i) => {
+            if (id === 'amp') {
+                amps.forEach(amp => previous[0].connect(nodes[`preGain${AMPS[amp]}`]));
+                previous = amps.map(amp => nodes[`presence${AMPS[amp]}`]);
+            } else if (id === 'cab') {
+                previous.forEach((node, i) => node.connect(nodes[`cabInput${AMPS[amps[i]]}`]));
+                previous = [nodes.ampMix];
+            } else {
+                previous[0].connect(nodes[BLOCKS[id].input]);
+                previous = [nodes[BLOCKS[id].output]];
+            }
+            if (gateFirst && i === 0) {
+                previous[0].connect(nodes.bright);
+                previous = [nodes.bright];
+            }
+        });
+        previous[0].connect(nodes.chainOutput);
+    }
+
+    // --- EQ ---
+
+    // Filters in signal order: the cut stages the slopes use, then the
+    // parametric or the graphic bands
+    getEqStages(nodes = this.nodes) {
+        const cut = (name, slope) => CUT_SLOPES[slope].stages.map((Q, i) => {
+            nodes[`${name}${i}`].Q.value = Q;
+            return nodes[`${name}${i}`];
+        });
+        const graphic = EQ_MODES[this.values.eqMode].id === 'graphic';
+        const bands = graphic
+            ? GRAPHIC_BANDS.map((_, i) => nodes[`eqGraphic${i + 1}`])
+            : EQ_BANDS.map((_, i) => nodes[`eqBand${i + 1}`]);
+        return [...cut('eqLowCut', this.values.eqLowCutSlope), ...cut('eqHighCut', this.values.eqHighCutSlope), ...bands];
+    }
+
+    routeEq(nodes) {
+        const stages = this.getEqStages(nodes);
+        [nodes.eqInput, ...Object.keys(nodes).filter(name => /^eq(LowCut|HighCut|Band|Graphic)\d/.test(name)).map(name => nodes[name])]
+            .forEach(node => node.disconnect());
+        nodes.eqInput.connect(nodes.eqDry);
+
+        const path = [nodes.eqInput, ...stages, nodes.eqWet];
+        path.slice(1).forEach((node, i) => path[i].connect(node));
+        if (this.onEqUpdate) this.onEqUpdate();
+    }
+
+    // Band gains, zero for bypassed bands
+    applyEq(smooth = true, nodes = this.nodes) {
+        EQ_BANDS.forEach((_, i) => {
+            const n = i + 1;
+            const gain = this.state[`eqBand${n}`] ? this.values[`eqBand${n}Gain`] : 0;
+            this.setAudioParam(nodes[`eqBand${n}`].gain, gain, smooth);
+        });
+    }
+
+    // Combined response (dB) of the EQ's active filters at `frequencies`
+    // (a Float32Array); flat when the EQ isn't running
+    getEqResponse(frequencies) {
+        const response = new Float32Array(frequencies.length);
+        if (!this.isInitialized) return response;
+
+        const magnitude = new Float32Array(frequencies.length);
+        const phase = new Float32Array(frequencies.length);
+        this.getEqStages().forEach(filter => {
+            filter.getFrequencyResponse(frequencies, magnitude, phase);
+            for (let i = 0; i < frequencies.length; i++) response[i] += 20 * Math.log10(magnitude[i]);
+        });
+        return response;
+    }
+
+    // --- Modulation ---
+
+    getModRate() {
+        const division = NOTE_DIVISIONS[this.values.modSync];
+        return division.beats > 0 ? this.tempo / 60 / division.beats : this.values.modRate;
+    }
+
+    // Wires the type's path from the input to the stereo merger
+    routeModulation(nodes) {
+        const type = MOD_TYPES[this.values.modType].id;
+        const lastAllpass = nodes.modAllpass[nodes.modAllpass.length - 1];
+        [nodes.modInput, nodes.modDelayLeft, nodes.modDelayRight, nodes.modFeedback, lastAllpass, nodes.modTremolo]
+            .forEach(node => node.disconnect());
+        nodes.modInput.connect(nodes.modDry);
+
+        const toBothSides = (node) => {
+            node.connect(nodes.modMerger, 0, 0);
+            node.connect(nodes.modMerger, 0, 1);
+        };
+        if (type === 'chorus') {
+            nodes.modInput.connect(nodes.modDelayLeft);
+            nodes.modInput.connect(nodes.modDelayRight);
+            nodes.modDelayLeft.connect(nodes.modMerger, 0, 0);
+            nodes.modDelayRight.connect(nodes.modMerger, 0, 1);
+        } else if (type === 'vibrato' || type === 'flanger') {
+            nodes.modInput.connect(nodes.modDelayLeft);
+            toBothSides(nodes.modDelayLeft);
+            if (type === 'flanger') {
+                nodes.modDelayLeft.connect(nodes.modFeedback);
+                nodes.modFeedback.connect(nodes.modDelayLeft);
+            }
+        } else if (type === 'phaser') {
+            nodes.modInput.connect(nodes.modAllpass[0]);
+            toBothSides(lastAllpass);
+        } else if (type === 'tremolo') {
+            nodes.modInput.connect(nodes.modTremolo);
+            toBothSides(nodes.modTremolo);
+        }
+
+        const shape = TREMOLO_SHAPES[this.values.modShape].id;
+        if (type === 'tremolo' && shape !== 'sine') {
+            const harmonics = TREMOLO_HARMONICS[shape];
+            const ctx = nodes.modLfo.context;
+            nodes.modLfo.setPeriodicWave(ctx.createPeriodicWave(new Float32Array(harmonics.length), new Float32Array(harmonics)));
+        } else {
+            nodes.modLfo.type = 'sine';
+        }
+    }
+
+    applyModulation(smooth = true, nodes = this.nodes) {
+        const type = MOD_TYPES[this.values.modType].id;
+        const depth = this.values.modDepth / 100;
+        this.setAudioParam(nodes.modLfo.frequency, this.getModRate(), smooth);
+
+        const sweep = MOD_SWEEPS[type];
+        if (sweep) {
+            this.setAudioParam(nodes.modDelayLeft.delayTime, sweep.base, smooth);
+            this.setAudioParam(nodes.modDelayRight.delayTime, sweep.base, smooth);
+            this.setAudioParam(nodes.modSweepLeft.gain, sweep.sweep * depth, smooth);
+            this.setAudioParam(nodes.modSweepRight.gain, (type === 'chorus' ? -1 : 1) * sweep.sweep * depth, smooth);
+        }
+        // Allpass stages sweep 100Hz - 1.5kHz at full depth
+        this.setAudioParam(nodes.modPhaserSweep.gain, 700 * depth, smooth);
+        // Tremolo gain swings between 1 - depth and 1
+        this.setAudioParam(nodes.modTremolo.gain, 1 - depth / 2, smooth);
+        this.setAudioParam(nodes.modTremoloDepth.gain, depth / 2, smooth);
+
+        let wet = this.values.modMix / 100;
+        if (type === 'vibrato' || type === 'tremolo') wet = 1;
+        if (!this.state.mod) wet = 0;
+        this.setAudioParam(nodes.modDry.gain, 1 - wet, smooth);
+        this.setAudioParam(nodes.modWet.gain, wet, smooth);
+    }
+
+    // --- Delay ---
+
+    // Seconds between repeats: the note value at the global tempo, or TIME
+    getDelayTime() {
+        const division = NOTE_DIVISIONS[this.values.delaySync];
+        const seconds = division.beats > 0 ? division.beats * (60 / this.tempo) : this.values.delayTime / 1000;
+        return Math.min(seconds, MAX_DELAY_TIME);
+    }
+
+    // Seconds until the repeats have died away (-60dB), for offline renders
+    getDelayTail() {
+        if (!this.state.delay) return 0;
+        const feedback = Math.max(this.values.delayFeedback / 100, 0.01);
+        return Math.min(this.getDelayTime() * Math.ceil(Math.log(0.001) / Math.log(feedback)), 20);
+    }
+
+    applyDelay(smooth = true, nodes = this.nodes) {
+        const time = this.getDelayTime();
+        this.setAudioParam(nodes.delayLeft.delayTime, time, smooth);
+        this.setAudioParam(nodes.delayRight.delayTime, time, smooth);
+
+        // Switched off, the repeats ring out with spillover and stop without
+        const audible = this.state.delay || this.state.delaySpillover;
+        this.setAudioParam(nodes.delayWet.gain, audible ? this.values.delayMix / 100 : 0, smooth);
+    }
+
+    // Mono: one line repeating on both sides. Ping-pong: the left line
+    // feeds the right, which feeds back into the left.
+    routeDelay(nodes) {
+        [nodes.delaySend, nodes.delayLeft, nodes.delayRight, nodes.delayCross, nodes.delayFeedback].forEach(node => node.disconnect());
+
+        nodes.delaySend.connect(nodes.delayLeft);
+        nodes.delayFeedback.connect(nodes.delayLeft);
+        nodes.delayLeft.connect(nodes.delayMerger, 0, 0);
+        if (this.state.delayPingPong) {
+            nodes.delayLeft.connect(nodes.delayCross);
+            nodes.delayCross.connect(nodes.delayRight);
+            nodes.delayRight.connect(nodes.delayLowCut);
+            nodes.delayRight.connect(nodes.delayMerger, 0, 1);
+        } else {
+            nodes.delayLeft.connect(nodes.delayLowCut);
+            nodes.delayLeft.connect(nodes.delayMerger, 0, 1);
+        }
+    }
+
+    // --- Reverb ---
+
+    // Seconds of reverb tail, for offline renders
+    getReverbTail() {
+        return this.state.reverb ? this.values.reverbDecay + this.values.reverbPreDelay / 1000 : 0;
+    }
+
+    applyReverb(smooth = true, nodes = this.nodes) {
+        const audible = this.state.reverb || this.state.reverbSpillover;
+        this.setAudioParam(nodes.reverbWet.gain, audible ? this.values.reverbMix / 100 : 0, smooth);
+    }
+
+    // Knob drags regenerate the impulse once they settle
+    scheduleReverbImpulse() {
+        clearTimeout(this.reverbTimer);
+        this.reverbTimer = setTimeout(() => this.updateReverbImpulse(), 80);
+    }
+
+    updateReverbImpulse() {
+        if (!this.isInitialized) return;
+        const type = REVERB_TYPES[this.values.reverbType].id;
+        const decay = this.values.reverbDecay;
+        if (type === 'convolution') {
+            this.nodes.reverb.buffer = this.reverbIRBuffer ? trimImpulse(this.ctx, this.reverbIRBuffer, decay) : null;
+        } else {
+            this.nodes.reverb.buffer = makeReverbImpulse(this.ctx, type, decay);
+        }
+    }
+
+    // Room IR for the convolution type
+    async loadReverbIR(arrayBuffer, name) {
+        if (!this.ctx) return false;
+        try {
+            const data = arrayBuffer.slice(0);
+            this.reverbIRBuffer = await this.ctx.decodeAudioData(arrayBuffer);
+            this.reverbIR = { name, data };
+            this.updateReverbImpulse();
+            return true;
+        } catch (e) {
+            console.error("Failed to decode reverb IR", e);
+            return false;
+        }
+    }
+
+    setAmpReverbDefaults(enabled) {
+        this.ampReverbDefaults = enabled;
+        localStorage.setItem('ampReverbDefaults', enabled);
+    }
+
+    applyAmpReverb(model) {
+        const reverb = AMP_REVERBS[model];
+        if (!reverb) return;
+        this.setParam('reverbType', REVERB_TYPES.findIndex(type => type.id === reverb.type));
+        if (reverb.preCab) {
+            const chain = this.chain.filter(id => id !== 'reverb');
+            chain.splice(chain.indexOf('cab'), 0, 'reverb');
+            this.setChain(chain);
+        }
+        this.toggleSwitch('reverb', true);
+    }
+
+    // --- Neural Amp (NAM) ---
+
+    setAmpStage(stage) {
+        this.ampStage = stage;
+        this.routeAmpStage(this.nodes);
+        this.applyPreGain();
+    }
+
+    routeAmpStage(nodes) {
+        nodes.voice.disconnect();
+        nodes.voice.connect(this.ampStage === 'neural' ? nodes.neural : nodes.distortion);
+    }
+
+    handleNeuralMessage(msg) {
+        const request = this.neuralRequests.get(msg.id);
+        if (!request) return;
+        this.neuralRequests.delete(msg.id);
+        if (msg.type === 'error') request.reject(new Error(msg.message));
+        else request.resolve();
+    }
+
+    // Loads a parsed model into a worklet slot; resident slots are reused
+    loadNeuralSlot(slot, model) {
+        if (model.sampleRate !== this.ctx.sampleRate) {
+            // Captures run sample by sample, so a different rate shifts their tone
+            console.warn(`Capture was trained at ${model.sampleRate} Hz, context runs at ${this.ctx.sampleRate} Hz`);
+        }
+
+        return this.postNeuralModel(this.nodes.neural, slot, model).then(() => {
+            this.neuralSlots.set(slot, model);
+        });
+    }
+
+    // Sends a model to a nam-processor node; resolves once it is loaded
+    postNeuralModel(node, slot, model) {
+        const id = ++this.neuralRequestId;
+        const { inputGain, outputGain } = getModelGains(model.info);
+        return new Promise((resolve, reject) => {
+            this.neuralRequests.set(id, { resolve, reject });
+            node.port.postMessage({
+                type: 'load',
+                id,
+                slot,
+                model: {
+                    architecture: model.architecture,
+                    config: model.config,
+                    weights: model.weights,
+                    inputGain,
+                    outputGain
+                }
+            });
+        });
+    }
+
+    // Sets the audible weight of each slot ({ slot: weight }); every other
+    // slot fades out and is freed.
+    setNeuralMix(targets) {
+        this.neuralMix = targets;
+        this.nodes.neural.port.postMessage({ type: 'mix', targets });
+        this.neuralSlots.forEach((model, slot) => {
+            if (!(slot in targets)) {
+                this.nodes.neural.port.postMessage({ type: 'release', slot });
+                this.neuralSlots.delete(slot);
+            }
+        });
+    }
+
+    // Cached as promises so a knob sweep never fetches a capture twice
+    getCaptureModel(file) {
+        if (!this.captureCache.has(file)) {
+            const pending = fetchNamModel(captureUrl(file));
+            pending.catch(() => this.captureCache.delete(file));
+            this.captureCache.set(file, pending);
+        }
+        return this.captureCache.get(file);
+    }
+
+    async useNeuralModel(model, slot, name) {
+        await this.loadNeuralSlot(slot, model);
+        this.captureSet = null;
+        this.currentCapture = { name, model, sampleRate: model.sampleRate };
+        this.setNeuralMix({ [slot]: 1 });
+        if (this.ampStage !== 'neural') this.setAmpStage('neural');
+        else this.applyPreGain();
+        console.log(`Neural capture loaded: ${name} (${model.architecture})`);
+        return model.info;
+    }
+
+    // Bundled capture from assets/irs/. Resolves with the capture's
+    // metadata; rejects with a readable error for unsupported files.
+    async loadCapture(file) {
+        if (!this.ctx) throw new Error('Audio engine is not running');
+        try {
+            const model = await this.getCaptureModel(file);
+            return await this.useNeuralModel(model, file, file);
+        } catch (e) {
+            console.error(`Failed to load capture: ${file}`, e);
+            throw e;
+        }
+    }
+
+    // User supplied .nam file contents
+    async loadNamModel(text, name) {
+        if (!this.ctx) throw new Error('Audio engine is not running');
+        try {
+            const slot = `upload-${++this.uploadCount}`;
+            const info = await this.useNeuralModel(parseNamModel(text), slot, name);
+            this.currentCapture.source = text;
+            return info;
+        } catch (e) {
+            console.error("Failed to load NAM model", e);
+            throw e;
+        }
+    }
+
+    // Bundled capture set (see CAPTURE_SETS) played from the GAIN knob
+    async loadCaptureSet(setId) {
+        if (!this.ctx) throw new Error('Audio engine is not running');
+        const set = CAPTURE_SETS.find(s => s.id === setId);
+        if (!set) throw new Error(`Unknown capture set: ${setId}`);
+
+        this.captureSet = set;
+        this.currentCapture = { name: set.name, set };
+        try {
+            await this.updateCaptureSet();
+            this.currentCapture.sampleRate = (await this.getCaptureModel(set.captures[0].file)).sampleRate;
+        } catch (e) {
+            console.error(`Failed to load capture set: ${set.name}`, e);
+            throw e;
+        }
+        if (this.ampStage !== 'neural') this.setAmpStage('neural');
+        else this.applyPreGain();
+        console.log(`Capture set loaded: ${set.name}`);
+        return set;
+    }
+
+    // Crossfades to the captures nearest the current GAIN (and MASTER)
+    async updateCaptureSet() {
+        const set = this.captureSet;
+        const revision = ++this.captureSetRevision;
+        const knobs = { gain: this.values.preGain, master: this.values.master };
+        const blend = getCaptureBlend(set, knobs, this.captureMasterBinding);
+
+        await Promise.all(blend.captures.map(async ({ file }) => {
+            if (!this.neuralSlots.has(file)) await this.loadNeuralSlot(file, await this.getCaptureModel(file));
+        }));
+
+        // A newer knob position (or another capture) took over meanwhile
+        if (revision !== this.captureSetRevision || this.captureSet !== set) return;
+
+        const targets = {};
+        blend.captures.forEach(({ file, weight }) => {
+            targets[file] = weight;
+        });
+        this.setNeuralMix(targets);
+        this.captureSetPosition = blend.position;
+    }
+
+    setCaptureMasterBinding(enabled) {
+        this.captureMasterBinding = enabled;
+        localStorage.setItem('captureMasterBinding', enabled);
+        if (this.captureSet) this.updateCaptureSet();
+    }
+
+    clearCapture() {
+        if (!this.isInitialized) return;
+        this.captureSet = null;
+        this.currentCapture = null;
+        this.setNeuralMix({});
+        this.setAmpStage('synth');
     }
 
     // --- IR / Cab ---
 
-    async loadIR(arrayBuffer) {
+    // Node or param of an amp's IR slot, e.g. ('cabGain', 'B', 2) -> cabGain2B
+    getCabName(name, amp = 'A', slot = 1) {
+        return `${name}${CAB_SLOTS[slot]}${AMPS[amp]}`;
+    }
+
+    // `slot` is 1 or 2 here and in the other IR methods
+    getIR(amp = 'A', slot = 1) {
+        return this[this.getCabName('currentIR', amp, slot)];
+    }
+
+    setIR(ir, amp = 'A', slot = 1) {
+        this[this.getCabName('currentIR', amp, slot)] = ir;
+    }
+
+    // Samples each slot is held back so the IRs' onsets line up (none
+    // until both slots have one)
+    getCabAlignment(nodes, amp) {
+        const buffers = Object.keys(CAB_SLOTS).map(slot => nodes[this.getCabName('cab', amp, slot)].buffer);
+        if (buffers.includes(null)) return [0, 0];
+        const onsets = buffers.map(findOnset);
+        const latest = Math.max(...onsets);
+        return onsets.map(onset => latest - onset);
+    }
+
+    // Slot gains (blend, level, polarity) and delays (alignment + manual)
+    applyCab(smooth = true, nodes = this.nodes, amp = 'A') {
+        const suffix = AMPS[amp];
+        const blend = (this.values[`cabBlend${suffix}`] / 100) * (Math.PI / 2);
+        const weights = [Math.cos(blend), Math.sin(blend)];
+        const alignment = this.state[`cabAlign${suffix}`] ? this.getCabAlignment(nodes, amp) : [0, 0];
+        const rate = nodes.master.context.sampleRate;
+
+        Object.keys(CAB_SLOTS).forEach((slot, i) => {
+            const name = (param) => this.getCabName(param, amp, slot);
+            const polarity = this.state[name('cabPhase')] ? -1 : 1;
+            const gain = Math.pow(10, this.values[name('cabLevel')] / 20) * weights[i] * polarity;
+            this.setAudioParam(nodes[name('cabGain')].gain, gain, smooth);
+            const delay = (alignment[i] + this.values[name('cabDelay')]) / rate;
+            this.setAudioParam(nodes[name('cabDelay')].delayTime, Math.min(delay, MAX_CAB_DELAY), smooth);
+        });
+    }
+
+    // `bundled` marks IRs shipped in assets/irs/, which rig links can reference
+    async loadIR(arrayBuffer, name, bundled = false, amp = 'A', slot = 1) {
         if (!this.ctx) return;
         try {
+            // Decoding detaches the buffer, so keep a copy of the file
+            const data = arrayBuffer.slice(0);
             const buffer = await this.ctx.decodeAudioData(arrayBuffer);
-            this.nodes.cab.buffer = buffer;
+            this.nodes[this.getCabName('cab', amp, slot)].buffer = buffer;
+            // decodeAudioData resamples to the context rate; the file's rate is kept for display
+            this.setIR({ name, data, bundled, sampleRate: readWavSampleRate(data) }, amp, slot);
+            this.applyCab(true, this.nodes, amp);
             console.log("Custom IR Loaded");
             return true;
         } catch (e) {
@@ -296,7 +1607,18 @@ export class AudioEngine {
         }
     }
 
-    setInternalCab(model) {
+    async loadBundledIR(file, amp = 'A', slot = 1) {
+        try {
+            const response = await fetch(captureUrl(file));
+            if (!response.ok) throw new Error(`IR not found: ${file}`);
+            return await this.loadIR(await response.arrayBuffer(), file, true, amp, slot);
+        } catch (e) {
+            console.error("Failed to load bundled IR", e);
+            return false;
+        }
+    }
+
+    setInternalCab(model, amp = 'A') {
         // Synthetic IR generation (same as before but slightly tweaked)
         const duration = 0.5; // seconds
         const rate = this.ctx.sampleRate;
@@ -321,7 +1643,16 @@ export class AudioEngine {
             left[i] = val;
             right[i] = val;
         }
-        this.nodes.cab.buffer = impulse;
+        this.nodes[this.getCabName('cab', amp)].buffer = impulse;
+        this.setIR(null, amp);
+        this.applyCab(true, this.nodes, amp);
+    }
+
+    // Empties a second slot
+    clearIR(amp = 'A', slot = 2) {
+        this.nodes[this.getCabName('cab', amp, slot)].buffer = null;
+        this.setIR(null, amp, slot);
+        this.applyCab(true, this.nodes, amp);
     }
 
     makeDistortionCurve(amount) {
@@ -349,6 +1680,339 @@ export class AudioEngine {
         }
     }
 
+    // Latest TUNER_WINDOW samples of the dry input; false while there's no
+    // running input to read
+    getTunerData(array) {
+        if (!this.nodes.tunerTap || !this.nodes.source || this.ctx.state !== 'running') return false;
+        this.nodes.tunerTap.getFloatTimeDomainData(array);
+        return true;
+    }
+
+    // Silences everything heard: the master, and the looper and the file
+    // player, which play back beside it
+    setOutputMuted(muted) {
+        this.outputMuted = muted;
+        if (!this.isInitialized) return;
+        this.applyParam('master', true);
+        this.setAudioParam(this.nodes.looperLevel.gain, muted ? 0 : this.looper.level);
+        this.setAudioParam(this.nodes.playerLevel.gain, muted ? 0 : this.player.volume);
+    }
+
+    // --- Recording ---
+
+    // Starts recording the dry DI and the output. Resolves once the take
+    // ends (stopRecording() or an engine restart) with
+    // { dry: [mono], wet: [left, right], sampleRate }.
+    startRecording() {
+        if (!this.isInitialized) return Promise.reject(new Error('Audio engine is not running'));
+        if (this.recording) return this.recording.promise;
+
+        let resolve;
+        const promise = new Promise(r => { resolve = r; });
+        this.recording = {
+            chunks: { dry: [], left: [], right: [] },
+            sampleRate: this.ctx.sampleRate,
+            promise,
+            resolve
+        };
+        this.nodes.recorder.port.postMessage({ type: 'start' });
+        return promise;
+    }
+
+    stopRecording() {
+        if (!this.recording) return Promise.resolve(null);
+        this.nodes.recorder.port.postMessage({ type: 'stop' });
+        return this.recording.promise;
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    handleRecorderMessage(msg) {
+        if (msg.type === 'spares') {
+            // Take buffers are allocated here, not on the audio thread
+            const chunks = Array.from({ length: msg.count }, () => ({
+                dry: new Float32Array(msg.length),
+                left: new Float32Array(msg.length),
+                right: new Float32Array(msg.length)
+            }));
+            const buffers = chunks.flatMap(chunk => [chunk.dry.buffer, chunk.left.buffer, chunk.right.buffer]);
+            this.nodes.recorder.port.postMessage({ type: 'spares', chunks }, buffers);
+            return;
+        }
+
+        if (!this.recording) return;
+        const { chunks } = this.recording;
+        if (msg.type === 'data') {
+            chunks.dry.push(msg.dry.subarray(0, msg.frames));
+            chunks.left.push(msg.left.subarray(0, msg.frames));
+            chunks.right.push(msg.right.subarray(0, msg.frames));
+        } else if (msg.type === 'stopped') {
+            const { sampleRate, resolve } = this.recording;
+            this.recording = null;
+            if (msg.dropped > 0) console.warn(`Recording dropped ${msg.dropped} frames`);
+            resolve({
+                dry: [concatChunks(chunks.dry)],
+                wet: [concatChunks(chunks.left), concatChunks(chunks.right)],
+                sampleRate
+            });
+        }
+    }
+
+    // --- File Player ---
+
+    // Loads an audio file's contents into the player, stopped at the start
+    async loadPlayerFile(arrayBuffer, name) {
+        if (!this.isInitialized) await this.init();
+        // Decoding detaches the buffer, so keep a copy for rebuild()
+        const data = arrayBuffer.slice(0);
+        const buffer = await this.ctx.decodeAudioData(arrayBuffer);
+
+        Object.assign(this.player, {
+            name,
+            data,
+            duration: buffer.duration,
+            position: 0,
+            playing: false,
+            loop: false,
+            loopStart: 0,
+            loopEnd: buffer.duration
+        });
+        this.sendPlayerBuffer(buffer);
+        this.applyPlayer();
+        console.log(`Player file loaded: ${name}`);
+        return this.player;
+    }
+
+    sendPlayerBuffer(buffer) {
+        const channels = [];
+        for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice(0));
+        this.nodes.player.port.postMessage({ type: 'load', channels }, channels.map(channel => channel.buffer));
+    }
+
+    // Pushes the player state (file position, transport, loop, speed, pitch,
+    // routing) into the graph
+    applyPlayer() {
+        const player = this.player;
+        const rate = this.ctx.sampleRate;
+        this.nodes.player.port.postMessage({ type: 'seek', position: player.position * rate });
+        this.nodes.player.port.postMessage({
+            type: 'set',
+            playing: player.playing,
+            speed: player.speed,
+            pitch: Math.pow(2, player.semitones / 12),
+            loop: player.loop,
+            loopStart: player.loopStart * rate,
+            loopEnd: player.loopEnd * rate
+        });
+        this.nodes.playerLevel.gain.value = this.outputMuted ? 0 : player.volume;
+        this.routePlayer();
+        this.applyInputChannel();
+    }
+
+    routePlayer() {
+        this.nodes.playerLevel.disconnect();
+        // Backing tracks are heard (and metered) but stay out of the amp and recordings
+        this.nodes.playerLevel.connect(this.player.mode === 'di' ? this.nodes.di : this.nodes.analyser);
+    }
+
+    setPlayerPlaying(playing) {
+        if (!this.player.data) return;
+        this.player.playing = playing;
+        this.nodes.player.port.postMessage({ type: 'set', playing });
+        this.applyInputChannel();
+    }
+
+    seekPlayer(seconds) {
+        this.player.position = Math.min(Math.max(seconds, 0), this.player.duration);
+        this.nodes.player.port.postMessage({ type: 'seek', position: this.player.position * this.ctx.sampleRate });
+    }
+
+    setPlayerLoop(start, end, enabled) {
+        const player = this.player;
+        player.loopStart = Math.min(Math.max(start, 0), player.duration);
+        player.loopEnd = Math.min(Math.max(end, player.loopStart), player.duration);
+        player.loop = enabled;
+        this.nodes.player.port.postMessage({
+            type: 'set',
+            loop: enabled,
+            loopStart: player.loopStart * this.ctx.sampleRate,
+            loopEnd: player.loopEnd * this.ctx.sampleRate
+        });
+    }
+
+    // Tempo factor; the pitch stays put
+    setPlayerSpeed(speed) {
+        this.player.speed = speed;
+        if (!this.isInitialized) return;
+        this.nodes.player.port.postMessage({ type: 'set', speed });
+    }
+
+    // Pitch shift in semitones; the tempo stays put
+    setPlayerTranspose(semitones) {
+        this.player.semitones = semitones;
+        if (!this.isInitialized) return;
+        this.nodes.player.port.postMessage({ type: 'set', pitch: Math.pow(2, semitones / 12) });
+    }
+
+    setPlayerMode(mode) {
+        this.player.mode = mode;
+        if (!this.isInitialized) return;
+        this.routePlayer();
+        this.applyInputChannel();
+    }
+
+    setPlayerVolume(volume) {
+        this.player.volume = volume;
+        if (!this.isInitialized) return;
+        this.setAudioParam(this.nodes.playerLevel.gain, this.outputMuted ? 0 : volume);
+    }
+
+    handlePlayerMessage(msg) {
+        if (msg.type === 'position') {
+            this.player.position = msg.position / this.ctx.sampleRate;
+            if (this.player.playing !== msg.playing) {
+                this.player.playing = msg.playing;
+                this.applyInputChannel();
+            }
+        }
+        if (this.onPlayerUpdate) this.onPlayerUpdate(this.player);
+    }
+
+    // --- Looper ---
+
+    // Song tempo, shared with the synced delay and modulation
+    setTempo(bpm) {
+        this.tempo = Math.min(Math.max(bpm, 30), 300);
+        localStorage.setItem('tempo', this.tempo);
+        if (!this.isInitialized) return;
+        this.applyLooperSettings();
+        this.applyModulation();
+        this.applyDelay();
+    }
+
+    // 'record', 'play', 'stop', 'undo' or 'clear' (see looper-processor.js)
+    looperAction(action) {
+        if (!this.isInitialized) return;
+        this.nodes.looper.port.postMessage({ type: 'action', action });
+    }
+
+    // Any of { bars, halfSpeed, reverse, level }
+    setLooperOptions(options) {
+        Object.assign(this.looper, options);
+        if (this.isInitialized) this.applyLooperSettings();
+    }
+
+    applyLooperSettings() {
+        const looper = this.looper;
+        // Bars of 4/4 at the song tempo
+        const fixedLength = looper.bars > 0 ? Math.round(looper.bars * 4 * (60 / this.tempo) * this.ctx.sampleRate) : 0;
+        this.nodes.looper.port.postMessage({
+            type: 'set',
+            fixedLength,
+            halfSpeed: looper.halfSpeed,
+            reverse: looper.reverse
+        });
+        this.setAudioParam(this.nodes.looperLevel.gain, this.outputMuted ? 0 : looper.level);
+    }
+
+    // Resolves with the mixed loop ({ channels, sampleRate }), or each
+    // layer ({ layers, sampleRate }) with `layers`
+    exportLoop(layers = false) {
+        if (!this.isInitialized) return Promise.resolve(null);
+        const id = ++this.looperRequestId;
+        const sampleRate = this.ctx.sampleRate;
+        return new Promise((resolve, reject) => {
+            this.looperRequests.set(id, {
+                resolve: (msg) => resolve({ channels: msg.channels, layers: msg.layers, sampleRate }),
+                reject
+            });
+            this.nodes.looper.port.postMessage({ type: 'export', id, layers });
+        });
+    }
+
+    handleLooperMessage(msg) {
+        if (msg.type === 'export') {
+            const request = this.looperRequests.get(msg.id);
+            this.looperRequests.delete(msg.id);
+            if (request) request.resolve(msg);
+        } else if (msg.type === 'state') {
+            Object.assign(this.looper, {
+                state: msg.state,
+                layers: msg.layers,
+                length: msg.length / this.ctx.sampleRate,
+                position: msg.position / this.ctx.sampleRate
+            });
+            if (this.onLooperUpdate) this.onLooperUpdate(this.looper);
+        } else if (msg.type === 'spares') {
+            // Overdub layers are allocated here, not on the audio thread
+            const layers = Array.from({ length: msg.count }, () => [new Float32Array(msg.length), new Float32Array(msg.length)]);
+            this.nodes.looper.port.postMessage({ type: 'spares', length: msg.length, layers }, layers.flat().map(channel => channel.buffer));
+        }
+    }
+
+    // --- Offline Rendering ---
+
+    // Reamps a DI recording (an audio file's contents) through the current
+    // rig in an OfflineAudioContext, faster than real time. Resolves with
+    // the rendered stereo AudioBuffer at the engine's sample rate.
+    async renderOffline(arrayBuffer) {
+        if (!this.isInitialized) throw new Error('Audio engine is not running');
+        // A knob or preset change may still have the impulse on its timer
+        clearTimeout(this.reverbTimer);
+        this.updateReverbImpulse();
+
+        const sampleRate = this.ctx.sampleRate;
+        const di = await this.ctx.decodeAudioData(arrayBuffer);
+        const cabs = Object.keys(AMPS).flatMap(amp => Object.keys(CAB_SLOTS).map(slot => this.getCabName('cab', amp, slot)));
+        const cabTail = Math.max(...cabs.map(cab => (this.nodes[cab].buffer ? this.nodes[cab].buffer.duration : 0))) + MAX_CAB_DELAY;
+        const tail = RENDER_TAIL + cabTail + this.getDelayTail() + this.getReverbTail();
+        const ctx = new OfflineAudioContext(2, di.length + Math.ceil(tail * sampleRate), sampleRate);
+
+        await this.loadWorklets(ctx);
+        const nodes = this.buildGraph(ctx);
+        nodes.master.connect(ctx.destination);
+
+        // Same amp stage, capture mix, cab and settings as the live rig
+        this.routeAmpStage(nodes);
+        if (this.ampStage === 'neural') {
+            const mix = this.neuralMix;
+            await Promise.all(Object.keys(mix).map(slot => this.postNeuralModel(nodes.neural, slot, this.neuralSlots.get(slot))));
+            nodes.neural.port.postMessage({ type: 'mix', targets: mix });
+        }
+        cabs.forEach(cab => {
+            nodes[cab].buffer = this.nodes[cab].buffer;
+        });
+        nodes.reverb.buffer = this.nodes.reverb.buffer;
+        this.applyAllParams(nodes);
+
+        const source = ctx.createBufferSource();
+        source.buffer = di;
+        source.connect(nodes.inputSplitter);
+        // A mono DI feeds the left input alone, as a mono device does live
+        // (see applyInputChannel), so the amp sees the same level
+        const mono = di.numberOfChannels < 2;
+        nodes.inputLeft.gain.value = mono ? 1 : 0.5;
+        nodes.inputRight.gain.value = mono ? 0 : 0.5;
+        source.start();
+
+        const started = performance.now();
+        const rendered = await ctx.startRendering();
+        console.log(`Rendered ${di.duration.toFixed(1)}s of DI in ${((performance.now() - started) / 1000).toFixed(1)}s`);
+        return rendered;
+    }
+
+    async getAudioInputDevices() {
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            return devices.filter(device => device.kind === 'audioinput');
+        } catch (err) {
+            console.error('Error enumerating audio devices:', err);
+            return [];
+        }
+    }
+
     async getAudioOutputDevices() {
         try {
             const devices = await navigator.mediaDevices.enumerateDevices();
@@ -362,31 +2026,215 @@ export class AudioEngine {
     async setOutputDevice(deviceId) {
         this.audioOutputDeviceId = deviceId;
 
-        // Note: Web Audio API doesn't directly support output device selection
-        // This would require using HTMLMediaElement with setSinkId()
-        // For now, we store the preference and it can be used with MediaElement routing
-
         // Store preference
         localStorage.setItem('audioOutputDevice', deviceId);
         console.log('Audio output device set to:', deviceId);
 
-        // In a full implementation, you would:
-        // 1. Create a MediaStreamDestination from the audio graph
-        // 2. Create an HTMLAudioElement
-        // 3. Use setSinkId() on the audio element
-        // 4. Connect the MediaStreamDestination to the audio element
+        if (!this.isInitialized) return true;
+        return this.applyOutputDevice(deviceId);
+    }
+
+    // Routes the graph to `deviceId`. A saved device that is gone falls back
+    // to the system default (the preference is kept for when it returns).
+    async applyOutputDevice(deviceId) {
+        this.outputNotice = null;
+
+        if (deviceId !== 'default') {
+            const devices = await this.getAudioOutputDevices();
+            const device = devices.find(d => d.deviceId === deviceId);
+            if (!device) {
+                this.outputNotice = 'Saved output device not found, using System Default';
+                console.warn(this.outputNotice, deviceId);
+                deviceId = 'default';
+            } else {
+                this.outputDeviceName = device.label || `Audio Device ${deviceId.substring(0, 8)}`;
+            }
+        }
+        if (deviceId === 'default') this.outputDeviceName = 'System Default';
+
+        try {
+            if (typeof this.ctx.setSinkId === 'function') {
+                this.routeOutputToContext();
+                await this.ctx.setSinkId(deviceId === 'default' ? '' : deviceId);
+            } else if (deviceId === 'default') {
+                this.routeOutputToContext();
+            } else {
+                await this.routeOutputToElement(deviceId);
+            }
+            this.activeOutputDeviceId = deviceId;
+            return !this.outputNotice;
+        } catch (err) {
+            console.error('Error setting audio output device:', err);
+            this.outputNotice = `Could not use ${this.outputDeviceName}, using System Default`;
+            this.outputDeviceName = 'System Default';
+            this.activeOutputDeviceId = 'default';
+            this.routeOutputToContext();
+            if (typeof this.ctx.setSinkId === 'function') await this.ctx.setSinkId('').catch(() => {});
+            return false;
+        }
+    }
+
+    routeOutputToContext() {
+        if (this.outputElement) {
+            this.outputElement.pause();
+            this.outputElement.srcObject = null;
+            this.outputElement = null;
+            this.nodes.analyser.disconnect();
+            this.nodes.analyser.connect(this.ctx.destination);
+        }
+    }
+
+    // Plays the graph through an <audio> element, which can pick its device
+    async routeOutputToElement(deviceId) {
+        if (typeof HTMLMediaElement.prototype.setSinkId !== 'function') {
+            throw new Error('Output device selection is not supported by this browser');
+        }
+        if (!this.outputElement) {
+            if (!this.nodes.streamOut) this.nodes.streamOut = this.ctx.createMediaStreamDestination();
+            this.outputElement = new Audio();
+            this.outputElement.srcObject = this.nodes.streamOut.stream;
+            this.nodes.analyser.disconnect();
+            this.nodes.analyser.connect(this.nodes.streamOut);
+        }
+        await this.outputElement.setSinkId(deviceId);
+        await this.outputElement.play();
+    }
+
+    // Falls back when the device in use is unplugged
+    async checkOutputDevice() {
+        if (!this.isInitialized) return;
+        if (this.activeOutputDeviceId === 'default' && this.audioOutputDeviceId === 'default') return;
+
+        const devices = await this.getAudioOutputDevices();
+        const present = devices.some(d => d.deviceId === this.audioOutputDeviceId);
+        // Gone, or back after a fallback
+        if (present === (this.activeOutputDeviceId === this.audioOutputDeviceId)) return;
+
+        await this.applyOutputDevice(this.audioOutputDeviceId);
+        if (this.onOutputDeviceChange) this.onOutputDeviceChange();
+    }
+
+    // Training rate of the active capture when the context runs at another
+    getCaptureRateMismatch() {
+        const capture = this.currentCapture;
+        if (!capture || !capture.sampleRate || !this.ctx) return null;
+        return capture.sampleRate !== this.ctx.sampleRate ? capture.sampleRate : null;
     }
 
-    setBufferSize(sizeMs) {
-        this.bufferSize = sizeMs;
-        localStorage.setItem('bufferSize', sizeMs);
+    // Nonlinear stages that alias without oversampling
+    getWaveShapers() {
+        return Object.values(this.nodes).filter(node => node instanceof WaveShaperNode);
+    }
+
+    setOversampling(oversample) {
+        this.oversample = oversample;
+        localStorage.setItem('oversampling', oversample);
+        this.getWaveShapers().forEach(shaper => {
+            shaper.oversample = oversample;
+        });
+    }
+
+    async setSampleRate(rate) {
+        this.sampleRate = rate;
+        localStorage.setItem('sampleRate', rate);
+        console.log('Sample rate set to:', rate, 'Hz');
+
+        if (this.isInitialized) await this.rebuild();
+    }
+
+    async setBufferSize(size) {
+        this.bufferSize = size;
+        localStorage.setItem('bufferSize', size);
+        console.log('Buffer size set to:', size, 'samples');
+
+        if (this.isInitialized) await this.rebuild();
+    }
+
+    // Measured latencies of the running context in ms (null if unknown)
+    getLatency() {
+        if (!this.ctx) return null;
+        const toMs = (seconds) => (typeof seconds === 'number' ? seconds * 1000 : null);
+        return {
+            base: toMs(this.ctx.baseLatency),
+            output: toMs(this.ctx.outputLatency)
+        };
+    }
+
+    // Replaces the AudioContext and node graph (for settings a context is
+    // created with), carrying over params, switches, amp model, IR, capture
+    // and input stream.
+    async rebuild() {
+        if (this.initializing) await this.initializing;
+        if (!this.isInitialized) return;
+
+        const wasRunning = this.ctx.state === 'running';
+        const irs = Object.keys(AMPS).flatMap(amp => Object.keys(CAB_SLOTS).map(Number).map(slot => ({ amp, slot, ir: this.getIR(amp, slot) })));
+        const reverbIR = this.reverbIR;
+        const capture = this.currentCapture;
+        const captureSet = this.captureSet;
 
-        // Note: Changing buffer size requires recreating the AudioContext
-        // with the latencyHint option. This is a complex operation that
-        // would require reinitializing the entire audio graph.
-        // For now, we store the preference for next initialization.
+        // A take can't span two contexts; end it with what was recorded
+        if (this.recording) await this.stopRecording();
+        // The loop moves over if the sample rate stays the same
+        const loop = this.looper.layers > 0 ? await this.exportLoop(true) : null;
+
+        // Tear down the old graph
+        this.isInitialized = false;
+        if (this.outputElement) {
+            this.outputElement.pause();
+            this.outputElement.srcObject = null;
+            this.outputElement = null;
+        }
+        this.neuralRequests.forEach(request => request.reject(new Error('Audio engine restarted')));
+        this.neuralRequests.clear();
+        this.neuralSlots.clear();
+        this.neuralMix = {};
+        this.looperRequests.forEach(request => request.reject(new Error('Audio engine restarted')));
+        this.looperRequests.clear();
+        this.reverbIRBuffer = null;
+        this.captureSetRevision++;
+        this.captureSet = null;
+        this.currentCapture = null;
+        this.ampStage = 'synth';
+        await this.ctx.close();
+        this.nodes = {};
+
+        await this.init();
+
+        // init() restored the amp model, params and switches
+        for (const { amp, slot, ir } of irs) {
+            if (ir) await this.loadIR(ir.data.slice(0), ir.name, ir.bundled, amp, slot);
+        }
+        if (reverbIR) await this.loadReverbIR(reverbIR.data.slice(0), reverbIR.name);
+        try {
+            if (captureSet) {
+                await this.loadCaptureSet(captureSet.id);
+            } else if (capture) {
+                const slot = capture.source ? `upload-${++this.uploadCount}` : capture.name;
+                await this.useNeuralModel(capture.model, slot, capture.name);
+                this.currentCapture.source = capture.source;
+            }
+        } catch (e) {
+            console.error("Failed to restore capture after restart", e);
+        }
+
+        if (this.inputStream) this.connectInput(this.inputStream);
+        if (loop && loop.sampleRate === this.ctx.sampleRate) {
+            this.nodes.looper.port.postMessage({ type: 'load', layers: loop.layers });
+        } else if (loop) {
+            console.warn("Loop cleared: the sample rate changed");
+        }
+        if (this.player.data) {
+            try {
+                this.sendPlayerBuffer(await this.ctx.decodeAudioData(this.player.data.slice(0)));
+                this.applyPlayer();
+            } catch (e) {
+                console.error("Failed to restore player file after restart", e);
+            }
+        }
 
-        console.log('Buffer size preference set to:', sizeMs, 'ms');
-        console.log('Note: Buffer size will take effect on next audio engine restart');
+        if (wasRunning) await this.ctx.resume();
+        else await this.ctx.suspend();
+        console.log("Audio Engine Rebuilt");
     }
 }
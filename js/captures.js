@@ -0,0 +1,193 @@
+// Neural amp captures and cabinet IRs bundled in assets/irs/
+export const CAPTURE_PATH = 'assets/irs/';
+
+export const BUNDLED_IRS = [
+    { file: 'fender_deluxe_lean.wav', label: 'Deluxe Reverb - Lean' },
+    { file: 'fender_deluxe_big.wav', label: 'Deluxe Reverb - Big' },
+    { file: 'DELUXE REVERB OXFORD - LEAN.wav', label: 'Deluxe Reverb Oxford - Lean' },
+    { file: 'DELUXE REVERB OXFORD - BIG.wav', label: 'Deluxe Reverb Oxford - Big' },
+    { file: 'DELUXE REVERB OXFORD - LEAN - 48 24.wav', label: 'Deluxe Reverb Oxford - Lean (48k/24)' },
+    { file: 'DELUXE REVERB OXFORD - BIG - 48 24.wav', label: 'Deluxe Reverb Oxford - Big (48k/24)' }
+];
+
+const JCM800_MASTERS = [5, 6, 7];
+const JCM800_GAINS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+export const BUNDLED_CAPTURES = [
+    ...JCM800_MASTERS.flatMap(mv => JCM800_GAINS.map(g => ({
+        file: `JCM800 2203 - P5 B5 M5 T5 MV${mv} G${g} - AZG - 700.nam`,
+        group: 'Marshall JCM800 2203',
+        label: `Master ${mv} / Gain ${g}`
+    }))),
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright Off - SM57 & Royer 101.nam',
+        group: 'Roland JC-120',
+        label: 'Bright Off - SM57 & Royer 101'
+    },
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright Off, Royer 101.nam',
+        group: 'Roland JC-120',
+        label: 'Bright Off - Royer 101'
+    },
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright Off, SM57.nam',
+        group: 'Roland JC-120',
+        label: 'Bright Off - SM57'
+    },
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright On, Royer R-101 & SM57.nam',
+        group: 'Roland JC-120',
+        label: 'Bright On - SM57 & Royer 101'
+    },
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright On, Royer R-101.nam',
+        group: 'Roland JC-120',
+        label: 'Bright On - Royer 101'
+    },
+    {
+        file: 'Roland JC 120B Jazz Chorus_ Bright On, SM57.nam',
+        group: 'Roland JC-120',
+        label: 'Bright On - SM57'
+    },
+    {
+        file: 'VOX AC30 + cab.nam',
+        group: 'VOX AC30',
+        label: 'AC30 + Cab'
+    },
+    {
+        file: '[NST] A clean VOX AC30 + 65Prince 906 1-2.nam',
+        group: 'VOX AC30',
+        label: 'Clean AC30 (NST)'
+    }
+];
+
+export function captureUrl(file) {
+    return CAPTURE_PATH + encodeURIComponent(file);
+}
+
+// --- Capture Sets ---
+// Captures of one amp that differ only by numbered settings in their file
+// names (e.g. "MV5 G1" ... "MV7 G10") form a playable set whose axes are
+// bound to panel knobs.
+
+const SETTING_PATTERN = /\b([A-Z]+)(\d+(?:\.\d+)?)\b/g;
+
+// Panel knob each setting prefix is bound to
+const AXIS_KNOBS = {
+    G: 'gain',
+    GAIN: 'gain',
+    MV: 'master',
+    MASTER: 'master'
+};
+
+// Range of the GAIN and MASTER knobs
+const KNOB_MAX = 10;
+
+function readSettings(file) {
+    const settings = [];
+    const template = file.replace(SETTING_PATTERN, (match, prefix, value) => {
+        settings.push({ prefix, value: parseFloat(value) });
+        return `${prefix}#`;
+    });
+    return { template, settings };
+}
+
+export function detectCaptureSets(captures) {
+    const groups = new Map();
+    captures.forEach(capture => {
+        const { template, settings } = readSettings(capture.file);
+        if (!groups.has(template)) groups.set(template, []);
+        groups.get(template).push({ capture, settings });
+    });
+
+    const sets = [];
+    groups.forEach(members => {
+        if (members.length < 2) return;
+
+        // Settings that change between members are the set's axes
+        const axes = members[0].settings
+            .map((setting, i) => ({
+                prefix: setting.prefix,
+                index: i,
+                values: [...new Set(members.map(m => m.settings[i].value))].sort((a, b) => a - b)
+            }))
+            .filter(axis => axis.values.length > 1)
+            .map(axis => ({ ...axis, knob: AXIS_KNOBS[axis.prefix] }));
+
+        if (!axes.some(axis => axis.knob === 'gain')) return;
+        if (axes.some(axis => !axis.knob)) return;
+
+        // e.g. "JCM800 2203 - P5 B5 M5 T5 MV# G# - AZG - 700"
+        const axisIndexes = new Set(axes.map(axis => axis.index));
+        let index = 0;
+        const id = members[0].capture.file
+            .replace(SETTING_PATTERN, (match, prefix) => (axisIndexes.has(index++) ? `${prefix}#` : match))
+            .replace(/\.nam$/i, '');
+
+        sets.push({
+            id,
+            name: members[0].capture.group,
+            axes: axes.map(({ prefix, knob, values }) => ({ prefix, knob, values })),
+            captures: members.map(m => ({
+                file: m.capture.file,
+                settings: Object.fromEntries(axes.map(axis => [axis.prefix, m.settings[axis.index].value]))
+            }))
+        });
+    });
+    return sets;
+}
+
+export const CAPTURE_SETS = detectCaptureSets(BUNDLED_CAPTURES);
+
+// Knob position (0-10) on the axis. Settings that fit the knob range are
+// read directly (GAIN 7 plays the G7 capture), others are spread over it.
+function knobToAxis(knobValue, axis) {
+    const min = axis.values[0];
+    const max = axis.values[axis.values.length - 1];
+    if (min >= 0 && max <= KNOB_MAX) {
+        return Math.min(Math.max(knobValue, min), max);
+    }
+    const ratio = Math.min(Math.max(knobValue / KNOB_MAX, 0), 1);
+    return min + ratio * (max - min);
+}
+
+function nearestValue(values, target) {
+    return values.reduce((best, v) => (Math.abs(v - target) < Math.abs(best - target) ? v : best));
+}
+
+// Resolves knob positions to the captures to mix: the two neighbours on the
+// GAIN axis, crossfaded, with any other axis snapped to its nearest capture
+// (MASTER only when `bindMaster` is set, otherwise its middle value).
+export function getCaptureBlend(set, knobs, bindMaster) {
+    const fixed = {};
+    let gainAxis = null;
+    set.axes.forEach(axis => {
+        if (axis.knob === 'gain') {
+            gainAxis = axis;
+        } else if (axis.knob === 'master' && bindMaster) {
+            fixed[axis.prefix] = nearestValue(axis.values, knobToAxis(knobs.master, axis));
+        } else {
+            fixed[axis.prefix] = axis.values[Math.floor(axis.values.length / 2)];
+        }
+    });
+
+    const position = knobToAxis(knobs.gain, gainAxis);
+    const values = gainAxis.values;
+    let i = 0;
+    while (i < values.length - 2 && position > values[i + 1]) i++;
+    const frac = (position - values[i]) / (values[i + 1] - values[i]);
+
+    const findFile = (gainValue) => {
+        const settings = { ...fixed, [gainAxis.prefix]: gainValue };
+        const match = set.captures.find(c => Object.keys(settings).every(p => c.settings[p] === settings[p]));
+        return match ? match.file : null;
+    };
+
+    return {
+        position: { ...fixed, [gainAxis.prefix]: position },
+        captures: [
+            { file: findFile(values[i]), weight: 1 - frac },
+            { file: findFile(values[i + 1]), weight: frac }
+        ].filter(c => c.file)
+    };
+}
@@ -0,0 +1,105 @@
+// Drive pedals for the front of the amp. Each one is
+//   pre filters -> drive gain -> clipping (waveshaper) -> DC block -> tone -> level
+// and sits in the chain before preGain, so its level and voicing push the
+// amp's own gain stage (see AudioEngine.buildDrivePedal).
+//
+//   gain   drive gain at DRIVE 0 and 10 (exponential in between)
+//   clip   clipping curve (see makeClipCurve)
+//   tone   filter the TONE knob sweeps: a lowpass frequency range (Hz) or a
+//          high shelf gain range (dB)
+//   trim   output at LEVEL 5, so a pedal at noon is about as loud as bypassed
+
+export const DRIVE_PEDALS = {
+    fuzz: {
+        // Starved two-transistor fuzz: square and lopsided, sputters out as notes decay
+        label: 'FUZZ',
+        pre: [{ type: 'highpass', frequency: 80, Q: 0.7 }],
+        gain: [20, 600],
+        clip: 'fuzz',
+        tone: { type: 'lowpass', range: [700, 8000] },
+        trim: 0.3
+    },
+    trebleBooster: {
+        // Germanium range booster: lows cut before a single asymmetric stage
+        label: 'TREBLE',
+        pre: [{ type: 'highpass', frequency: 900, Q: 0.5 }],
+        gain: [2, 30],
+        clip: 'germanium',
+        tone: { type: 'lowpass', range: [2000, 12000] },
+        trim: 0.6
+    },
+    overdrive: {
+        // TS-style mid hump: lows and highs rolled off around soft diodes
+        label: 'OD',
+        pre: [
+            { type: 'highpass', frequency: 720, Q: 0.5 },
+            { type: 'lowpass', frequency: 5000, Q: 0.7 }
+        ],
+        gain: [4, 120],
+        clip: 'diode',
+        tone: { type: 'lowpass', range: [800, 6000] },
+        trim: 0.35
+    },
+    distortion: {
+        // Op-amp into hard-clipping diodes
+        label: 'DIST',
+        pre: [{ type: 'highpass', frequency: 60, Q: 0.7 }],
+        gain: [10, 400],
+        clip: 'hard',
+        tone: { type: 'lowpass', range: [600, 9000] },
+        trim: 0.25
+    },
+    boost: {
+        // Clean gain with a little top-end sparkle; clips only when cranked
+        label: 'BOOST',
+        pre: [{ type: 'highpass', frequency: 30, Q: 0.7 }],
+        gain: [1, 10],
+        clip: 'clean',
+        tone: { type: 'highshelf', frequency: 3000, range: [-6, 6] },
+        trim: 1
+    }
+};
+
+// The curves span a drive of ±CURVE_RANGE over the waveshaper's -1..1 input,
+// so soft clipping finishes before the input is clamped
+export const CURVE_RANGE = 4;
+
+// Smooth hard clip at ±1 (slope 1 at zero)
+function hardClip(x) {
+    return x / Math.pow(1 + Math.pow(Math.abs(x), 8), 1 / 8);
+}
+
+// Each clip is 1:1 for small signals; the sides saturate at different
+// levels where the circuit is asymmetric
+const CLIPS = {
+    clean: (x) => Math.tanh(x),
+    germanium: (x) => (x >= 0 ? 0.6 * Math.tanh(x / 0.6) : Math.tanh(x)),
+    diode: (x) => (x >= 0 ? Math.tanh(x) : 0.9 * Math.tanh(x / 0.9)),
+    hard: (x) => hardClip(x),
+    fuzz: (x) => {
+        // Small signals fall into the dead zone: the gated, splatty decay
+        const gated = Math.sign(x) * Math.max(Math.abs(x) - 0.05, 0) / 0.95;
+        return gated >= 0 ? 0.7 * hardClip(gated / 0.7) : hardClip(gated);
+    }
+};
+
+export function makeClipCurve(clip) {
+    const samples = 4096;
+    const curve = new Float32Array(samples);
+    for (let i = 0; i < samples; i++) {
+        const x = (i * 2) / (samples - 1) - 1;
+        curve[i] = CLIPS[clip](x * CURVE_RANGE);
+    }
+    return curve;
+}
+
+// DRIVE / TONE knob (0-10) to drive gain and tone filter value
+export function mapDrive(pedal, value) {
+    const [low, high] = pedal.gain;
+    return (low * Math.pow(high / low, value / 10)) / CURVE_RANGE;
+}
+
+export function mapTone(pedal, value) {
+    const [low, high] = pedal.tone.range;
+    return pedal.tone.type === 'highshelf' ? low + (high - low) * (value / 10) : low * Math.pow(high / low, value / 10);
+}
@@ -0,0 +1,243 @@
+// EQ curve: the combined response of the post-cab EQ on a log frequency
+// axis. In PARAM mode drag a band's dot for frequency and gain (wheel for
+// Q, double-click for 0 dB); in GRAPHIC mode drag each band up or down.
+
+import { EQ_BANDS, EQ_MODES, GRAPHIC_BANDS, formatParam } from './params.js';
+
+const MIN_FREQ = 20;
+const MAX_FREQ = 20000;
+// dB at the top (and bottom) of the display
+const RANGE_DB = 18;
+const POINTS = 256;
+// Pointer distance (px) that grabs a band
+const GRAB_RADIUS = 14;
+
+export class EqController {
+    constructor(audioEngine) {
+        this.audio = audioEngine;
+        // Band being dragged (index into the current mode's bands)
+        this.dragging = null;
+        this.hover = null;
+        this.redrawTimer = null;
+
+        this.canvas = document.getElementById('eq-canvas');
+        this.readout = document.getElementById('eq-readout');
+
+        this.frequencies = new Float32Array(POINTS);
+        for (let i = 0; i < POINTS; i++) {
+            this.frequencies[i] = MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, i / (POINTS - 1));
+        }
+    }
+
+    init() {
+        if (!this.canvas) return;
+        this.audio.onEqUpdate = () => this.scheduleDraw();
+        this.setupEventListeners();
+        this.draw();
+        console.log("EQ Initialized");
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const band = this.findBand(e);
+            if (band === null) return;
+            this.dragging = band;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.moveBand(band, e);
+        });
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (this.dragging !== null) {
+                this.moveBand(this.dragging, e);
+            } else {
+                const band = this.findBand(e);
+                if (band !== this.hover) {
+                    this.hover = band;
+                    this.draw();
+                }
+            }
+        });
+        const release = () => {
+            this.dragging = null;
+            this.draw();
+        };
+        this.canvas.addEventListener('pointerup', release);
+        this.canvas.addEventListener('pointercancel', release);
+        this.canvas.addEventListener('pointerleave', () => {
+            if (this.dragging !== null || this.hover === null) return;
+            this.hover = null;
+            this.draw();
+        });
+
+        this.canvas.addEventListener('dblclick', (e) => {
+            const band = this.findBand(e);
+            if (band !== null) this.audio.setParam(this.getBandParams(band).gain, 0);
+        });
+
+        // Q of the band under the pointer (parametric only)
+        this.canvas.addEventListener('wheel', (e) => {
+            const band = this.findBand(e);
+            if (band === null || this.isGraphic()) return;
+            e.preventDefault();
+            const param = this.getBandParams(band).q;
+            this.audio.setParam(param, this.audio.values[param] * Math.exp(-e.deltaY * 0.002));
+        }, { passive: false });
+
+        window.addEventListener('resize', () => this.draw());
+    }
+
+    isGraphic() {
+        return EQ_MODES[this.audio.values.eqMode].id === 'graphic';
+    }
+
+    // Params behind one band of the current mode
+    getBandParams(band) {
+        if (this.isGraphic()) return { gain: `eqGraphic${band + 1}` };
+        const n = band + 1;
+        return { gain: `eqBand${n}Gain`, freq: `eqBand${n}Freq`, q: `eqBand${n}Q`, switch: `eqBand${n}` };
+    }
+
+    getBands() {
+        const values = this.audio.values;
+        if (this.isGraphic()) {
+            return GRAPHIC_BANDS.map((frequency, i) => ({ frequency, gain: values[`eqGraphic${i + 1}`], active: true }));
+        }
+        return EQ_BANDS.map((_, i) => {
+            const params = this.getBandParams(i);
+            return { frequency: values[params.freq], gain: values[params.gain], active: this.audio.state[params.switch] };
+        });
+    }
+
+    // --- Coordinates ---
+
+    xOf(frequency) {
+        return (Math.log(frequency / MIN_FREQ) / Math.log(MAX_FREQ / MIN_FREQ)) * this.canvas.width;
+    }
+
+    yOf(db) {
+        const half = this.canvas.height / 2;
+        return half - (Math.min(Math.max(db, -RANGE_DB), RANGE_DB) / RANGE_DB) * half;
+    }
+
+    // Pointer position in canvas pixels
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: ((e.clientX - rect.left) / rect.width) * this.canvas.width,
+            y: ((e.clientY - rect.top) / rect.height) * this.canvas.height
+        };
+    }
+
+    findBand(e) {
+        const { x, y } = this.getPoint(e);
+        let nearest = null;
+        let nearestDistance = GRAB_RADIUS;
+        this.getBands().forEach((band, i) => {
+            // Graphic bands are sliders: any height grabs them
+            const dy = this.isGraphic() ? 0 : y - this.yOf(band.gain);
+            const distance = Math.hypot(x - this.xOf(band.frequency), dy);
+            if (distance < nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    moveBand(band, e) {
+        const { x, y } = this.getPoint(e);
+        const params = this.getBandParams(band);
+        const db = ((this.canvas.height / 2 - y) / (this.canvas.height / 2)) * RANGE_DB;
+        this.audio.setParam(params.gain, Math.round(db * 10) / 10);
+        if (params.freq) {
+            const position = Math.min(Math.max(x / this.canvas.width, 0), 1);
+            this.audio.setParam(params.freq, MIN_FREQ * Math.pow(MAX_FREQ / MIN_FREQ, position));
+        }
+    }
+
+    // --- Drawing ---
+
+    // Drawn again once the filters have glided to their new values
+    scheduleDraw() {
+        this.draw();
+        clearTimeout(this.redrawTimer);
+        this.redrawTimer = setTimeout(() => this.draw(), 60);
+    }
+
+    draw() {
+        const canvas = this.canvas;
+        const rect = canvas.getBoundingClientRect();
+        if (rect.width > 0 && canvas.width !== Math.round(rect.width)) {
+            canvas.width = Math.round(rect.width);
+            canvas.height = Math.round(rect.height);
+        }
+        const g = canvas.getContext('2d');
+        const { width, height } = canvas;
+        g.clearRect(0, 0, width, height);
+
+        // Grid: decades and ±6dB steps
+        g.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        g.lineWidth = 1;
+        g.beginPath();
+        [100, 1000, 10000].forEach(frequency => {
+            g.moveTo(this.xOf(frequency), 0);
+            g.lineTo(this.xOf(frequency), height);
+        });
+        for (let db = -RANGE_DB + 6; db < RANGE_DB; db += 6) {
+            g.moveTo(0, this.yOf(db));
+            g.lineTo(width, this.yOf(db));
+        }
+        g.stroke();
+
+        // Combined response
+        const on = this.audio.state.eq;
+        const response = this.audio.getEqResponse(this.frequencies);
+        g.strokeStyle = on ? '#00d4ff' : 'rgba(0, 212, 255, 0.35)';
+        g.lineWidth = 2;
+        g.beginPath();
+        for (let i = 0; i < POINTS; i++) {
+            const x = this.xOf(this.frequencies[i]);
+            const y = this.yOf(response[i]);
+            if (i === 0) g.moveTo(x, y);
+            else g.lineTo(x, y);
+        }
+        g.stroke();
+
+        // Band handles: dots for parametric bands, bars for graphic ones
+        const graphic = this.isGraphic();
+        this.getBands().forEach((band, i) => {
+            const x = this.xOf(band.frequency);
+            const y = this.yOf(band.gain);
+            const highlighted = i === this.dragging || i === this.hover;
+            g.fillStyle = band.active ? (highlighted ? '#ffffff' : '#00d4ff') : 'rgba(255, 255, 255, 0.25)';
+            if (graphic) {
+                g.fillRect(x - 3, Math.min(y, height / 2), 6, Math.abs(y - height / 2) || 1);
+            } else {
+                g.beginPath();
+                g.arc(x, y, highlighted ? 6 : 4, 0, Math.PI * 2);
+                g.fill();
+            }
+        });
+
+        this.showReadout();
+    }
+
+    showReadout() {
+        if (!this.readout) return;
+        const band = this.dragging !== null ? this.dragging : this.hover;
+        // (the mode can change under a hovered band)
+        if (band === null || band >= this.getBands().length) {
+            this.readout.textContent = EQ_MODES[this.audio.values.eqMode].label;
+            return;
+        }
+        const params = this.getBandParams(band);
+        const values = this.audio.values;
+        const parts = [formatParam(params.gain, values[params.gain])];
+        if (params.freq) {
+            parts.unshift(formatParam(params.freq, values[params.freq]));
+            parts.push(`Q ${values[params.q].toFixed(2)}`);
+        } else {
+            parts.unshift(`${GRAPHIC_BANDS[band]} Hz`);
+        }
+        this.readout.textContent = `${band + 1} · ${parts.join(' · ')}`;
+    }
+}
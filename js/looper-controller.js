@@ -0,0 +1,130 @@
+// Looper bar: footswitch-style buttons (also on the keyboard and MIDI
+// learnable), fixed loop lengths in bars, half speed, reverse and export.
+
+import { encodeWav, downloadBlob, getSavedWavFormat } from './wav-encoder.js';
+
+// Keyboard footswitches (ignored while typing in a field)
+const KEYS = {
+    l: 'record',
+    k: 'play',
+    j: 'undo'
+};
+
+const STATE_LABELS = {
+    empty: 'EMPTY',
+    recording: 'RECORDING',
+    playing: 'PLAYING',
+    overdubbing: 'OVERDUB',
+    stopped: 'STOPPED'
+};
+
+export class LooperController {
+    constructor(audioEngine) {
+        this.audio = audioEngine;
+
+        this.recBtn = document.getElementById('looper-rec-btn');
+        this.playBtn = document.getElementById('looper-play-btn');
+        this.undoBtn = document.getElementById('looper-undo-btn');
+        this.clearBtn = document.getElementById('looper-clear-btn');
+        this.halfBtn = document.getElementById('looper-half-btn');
+        this.reverseBtn = document.getElementById('looper-reverse-btn');
+        this.exportBtn = document.getElementById('looper-export-btn');
+        this.barsSelect = document.getElementById('looper-bars');
+        this.levelSlider = document.getElementById('looper-level');
+        this.statusDisplay = document.getElementById('looper-status');
+        this.progress = document.getElementById('looper-progress');
+    }
+
+    init() {
+        this.audio.onLooperUpdate = (looper) => this.showState(looper);
+        this.setupEventListeners();
+        this.showState(this.audio.looper);
+        console.log("Looper Initialized");
+    }
+
+    setupEventListeners() {
+        const actions = [
+            [this.recBtn, 'record'],
+            [this.playBtn, 'play'],
+            [this.undoBtn, 'undo']
+        ];
+        actions.forEach(([btn, action]) => {
+            if (btn) btn.addEventListener('click', () => this.trigger(action));
+        });
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => {
+                if (this.audio.looper.layers === 0 || confirm('Clear the loop?')) this.trigger('clear');
+            });
+        }
+        if (this.halfBtn) {
+            this.halfBtn.addEventListener('click', () => {
+                this.audio.setLooperOptions({ halfSpeed: !this.audio.looper.halfSpeed });
+                this.showState(this.audio.looper);
+            });
+        }
+        if (this.reverseBtn) {
+            this.reverseBtn.addEventListener('click', () => {
+                this.audio.setLooperOptions({ reverse: !this.audio.looper.reverse });
+                this.showState(this.audio.looper);
+            });
+        }
+        if (this.exportBtn) {
+            this.exportBtn.addEventListener('click', () => this.exportLoop());
+        }
+        if (this.barsSelect) {
+            this.barsSelect.addEventListener('change', (e) => this.audio.setLooperOptions({ bars: parseInt(e.target.value) }));
+        }
+        if (this.levelSlider) {
+            this.levelSlider.addEventListener('input', (e) => this.audio.setLooperOptions({ level: parseFloat(e.target.value) }));
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.repeat || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest('input, select, textarea')) return;
+            const action = KEYS[e.key.toLowerCase()];
+            if (!action) return;
+            e.preventDefault();
+            this.trigger(action);
+        });
+    }
+
+    trigger(action) {
+        if (!this.audio.isInitialized || this.audio.ctx.state !== 'running') {
+            alert('Power on the amp to use the looper.');
+            return;
+        }
+        this.audio.looperAction(action);
+    }
+
+    async exportLoop() {
+        if (this.audio.looper.layers === 0) {
+            alert('Record a loop to export first.');
+            return;
+        }
+        try {
+            const loop = await this.audio.exportLoop();
+            downloadBlob(encodeWav(loop.channels, loop.sampleRate, getSavedWavFormat()), `Loop_${Math.round(this.audio.tempo)}bpm.wav`);
+        } catch (e) {
+            console.error("Loop export failed", e);
+            alert(`Could not export the loop: ${e.message}`);
+        }
+    }
+
+    // --- Display ---
+
+    showState(looper) {
+        if (!this.statusDisplay) return;
+
+        const layers = looper.layers > 1 ? ` · ${looper.layers} layers` : '';
+        const length = looper.length > 0 ? ` · ${looper.length.toFixed(1)}s` : '';
+        this.statusDisplay.textContent = `${STATE_LABELS[looper.state]}${length}${layers}`;
+
+        this.recBtn.classList.toggle('recording', looper.state === 'recording' || looper.state === 'overdubbing');
+        this.playBtn.classList.toggle('active', looper.state === 'playing' || looper.state === 'overdubbing');
+        this.halfBtn.classList.toggle('active', looper.halfSpeed);
+        this.reverseBtn.classList.toggle('active', looper.reverse);
+
+        const running = looper.state !== 'empty' && looper.state !== 'recording' && looper.length > 0;
+        this.progress.style.width = running ? `${(looper.position / looper.length) * 100}%` : '0%';
+    }
+}
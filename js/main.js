@@ -1,5 +1,13 @@
 import { AudioEngine } from './audio-engine.js';
 import { UIController } from './ui-controller.js';
+import { PresetManager } from './preset-manager.js';
+import { MidiController } from './midi-controller.js';
+import { TunerController } from './tuner-controller.js';
+import { RecorderController } from './recorder-controller.js';
+import { PlayerController } from './player-controller.js';
+import { LooperController } from './looper-controller.js';
+import { PedalboardController } from './pedalboard-controller.js';
+import { EqController } from './eq-controller.js';
 
 document.addEventListener('DOMContentLoaded', () => {
     const audioEngine = new AudioEngine();
@@ -8,5 +16,32 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize UI (listeners) immediately
     uiController.init();
 
+    // Rig links (#rig=...) restore the shared tone on open
+    if (location.hash) uiController.applyRigLink(location.hash);
+
+    const presetManager = new PresetManager(uiController);
+    presetManager.init();
+
+    const midiController = new MidiController(uiController, presetManager);
+    midiController.init();
+
+    const tunerController = new TunerController(audioEngine);
+    tunerController.init();
+
+    const recorderController = new RecorderController(audioEngine, uiController, presetManager);
+    recorderController.init();
+
+    const playerController = new PlayerController(audioEngine);
+    playerController.init();
+
+    const looperController = new LooperController(audioEngine);
+    looperController.init();
+
+    const pedalboardController = new PedalboardController(audioEngine, uiController);
+    pedalboardController.init();
+
+    const eqController = new EqController(audioEngine);
+    eqController.init();
+
     // Audio engine lazy loads on first user interaction (Power Button)
 });
@@ -0,0 +1,227 @@
+// Web MIDI control: CCs bound to knobs, switches and footswitch buttons
+// (elements with data-midi-trigger) through MIDI-learn, program changes
+// recall presets.
+//
+// Mappings are keyed by channel and controller ("0:74") and persisted in
+// localStorage as { key: { type: 'knob', param } | { type: 'switch', name }
+// | { type: 'trigger', name } }.
+
+const MAPPINGS_KEY = 'midiMappings';
+
+// How long a MIDI-moved knob shows its tooltip (ms)
+const TOOLTIP_TIME = 800;
+
+export class MidiController {
+    constructor(uiController, presetManager) {
+        this.ui = uiController;
+        this.presets = presetManager;
+        this.access = null;
+        this.mappings = this.loadMappings();
+
+        // MIDI-learn: waiting for a control click, then for a CC
+        this.learning = false;
+        this.learnTarget = null;
+        this.learnElement = null;
+        this.tooltipTimers = new Map();
+
+        this.learnBtn = document.getElementById('midi-learn-btn');
+        this.clearBtn = document.getElementById('midi-clear-btn');
+        this.statusDisplay = document.getElementById('midi-status');
+    }
+
+    async init() {
+        this.setupEventListeners();
+        await this.connect();
+        console.log("MIDI Controller Initialized");
+    }
+
+    setupEventListeners() {
+        if (this.learnBtn) {
+            this.learnBtn.addEventListener('click', () => this.setLearning(!this.learning));
+        }
+        if (this.clearBtn) {
+            this.clearBtn.addEventListener('click', () => {
+                if (!confirm('Remove all MIDI mappings?')) return;
+                this.mappings = {};
+                this.saveMappings();
+                this.updateStatus();
+            });
+        }
+
+        // While learning, a click picks the control instead of changing it
+        document.addEventListener('click', (e) => {
+            if (!this.learning) return;
+            const control = e.target.closest('.knob, .switch-wrapper, [data-midi-trigger]');
+            if (!control) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.selectLearnTarget(control);
+        }, true);
+
+        // ...and knobs don't start a drag
+        document.addEventListener('mousedown', (e) => {
+            if (this.learning && e.target.closest('.knob')) e.stopPropagation();
+        }, true);
+    }
+
+    async connect() {
+        if (!navigator.requestMIDIAccess) {
+            console.warn("Web MIDI is not supported in this browser");
+            this.updateStatus();
+            return false;
+        }
+        try {
+            this.access = await navigator.requestMIDIAccess();
+            this.access.inputs.forEach(input => this.attachInput(input));
+            // Devices plugged in later
+            this.access.onstatechange = (e) => {
+                if (e.port.type === 'input' && e.port.state === 'connected') this.attachInput(e.port);
+                this.updateStatus();
+            };
+            this.updateStatus();
+            return true;
+        } catch (err) {
+            console.error("MIDI access denied:", err);
+            this.updateStatus();
+            return false;
+        }
+    }
+
+    attachInput(input) {
+        input.onmidimessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(data) {
+        const status = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        if (status === 0xb0) {
+            this.handleControlChange(channel, data[1], data[2]);
+        } else if (status === 0xc0) {
+            // Program N recalls the preset numbered N (see PresetStore)
+            const preset = this.presets.presets.find(p => p.program === data[1]);
+            if (preset) this.presets.recall(preset.id);
+        }
+    }
+
+    handleControlChange(channel, controller, value) {
+        const key = `${channel}:${controller}`;
+
+        if (this.learning && this.learnTarget) {
+            this.bind(key, this.learnTarget);
+            return;
+        }
+
+        const mapping = this.mappings[key];
+        if (!mapping) return;
+
+        if (mapping.type === 'knob') {
+            const knob = document.querySelector(`.knob[data-param="${mapping.param}"]`);
+            if (!knob) return;
+            // CC travel follows the knob's taper
+            this.ui.setKnobValue(knob, this.ui.getKnobValue(knob, value / 127));
+            this.flashTooltip(knob.parentElement);
+        } else if (mapping.type === 'switch') {
+            // Footswitch press (value >= 64) toggles; the release is ignored
+            if (value < 64) return;
+            const sw = document.getElementById(`sw-${mapping.name}`);
+            if (sw) this.ui.setSwitch(mapping.name, !sw.checked);
+        } else if (mapping.type === 'trigger') {
+            // Momentary: fires on press
+            if (value < 64) return;
+            const button = document.querySelector(`[data-midi-trigger="${mapping.name}"]`);
+            if (button) button.click();
+        }
+    }
+
+    // --- MIDI Learn ---
+
+    setLearning(enabled) {
+        if (enabled && !this.access) {
+            alert('No MIDI access. Connect a controller and allow MIDI in your browser.');
+            return;
+        }
+        this.learning = enabled;
+        this.clearLearnTarget();
+        document.body.classList.toggle('midi-learning', enabled);
+        if (this.learnBtn) this.learnBtn.classList.toggle('active', enabled);
+        this.updateStatus();
+    }
+
+    selectLearnTarget(control) {
+        this.clearLearnTarget();
+        if (control.classList.contains('knob')) {
+            this.learnTarget = { type: 'knob', param: control.dataset.param };
+        } else if (control.dataset.midiTrigger) {
+            this.learnTarget = { type: 'trigger', name: control.dataset.midiTrigger };
+        } else {
+            const sw = control.querySelector('input[type="checkbox"]');
+            this.learnTarget = { type: 'switch', name: sw.id.replace('sw-', '') };
+        }
+        this.learnElement = control;
+        control.classList.add('midi-learn-target');
+        this.updateStatus();
+    }
+
+    clearLearnTarget() {
+        if (this.learnElement) this.learnElement.classList.remove('midi-learn-target');
+        this.learnElement = null;
+        this.learnTarget = null;
+    }
+
+    bind(key, target) {
+        // One controller per control
+        Object.keys(this.mappings).forEach(existing => {
+            const mapping = this.mappings[existing];
+            if (mapping.type === target.type && (mapping.param || mapping.name) === (target.param || target.name)) {
+                delete this.mappings[existing];
+            }
+        });
+        this.mappings[key] = target;
+        this.saveMappings();
+
+        console.log(`MIDI CC ${key} mapped to ${target.param || target.name}`);
+        this.clearLearnTarget();
+        this.updateStatus();
+    }
+
+    // --- Persistence ---
+
+    loadMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(MAPPINGS_KEY)) || {};
+        } catch (e) {
+            console.error("Invalid MIDI mappings, starting fresh", e);
+            return {};
+        }
+    }
+
+    saveMappings() {
+        localStorage.setItem(MAPPINGS_KEY, JSON.stringify(this.mappings));
+    }
+
+    // --- Display ---
+
+    flashTooltip(wrapper) {
+        wrapper.classList.add('midi-active');
+        clearTimeout(this.tooltipTimers.get(wrapper));
+        this.tooltipTimers.set(wrapper, setTimeout(() => wrapper.classList.remove('midi-active'), TOOLTIP_TIME));
+    }
+
+    updateStatus() {
+        if (!this.statusDisplay) return;
+
+        const count = Object.keys(this.mappings).length;
+        if (this.learning) {
+            this.statusDisplay.textContent = this.learnTarget
+                ? `Move a controller to map ${(this.learnTarget.param || this.learnTarget.name).toUpperCase()}`
+                : 'Click a knob, switch or footswitch button to map';
+        } else if (!this.access) {
+            this.statusDisplay.textContent = 'MIDI unavailable';
+        } else {
+            const inputs = this.access.inputs.size;
+            this.statusDisplay.textContent = `${inputs} MIDI input${inputs === 1 ? '' : 's'} · ${count} mapping${count === 1 ? '' : 's'}`;
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// Loading of Neural Amp Modeler (.nam) captures.
+// Files are parsed and validated here on the main thread; the resulting
+// description is posted to the neural amp worklet, which builds the DSP.
+
+// Captures are level-matched to this loudness (dB), as the NAM plugin does
+const TARGET_LOUDNESS_DB = -18;
+// Interface input level assumed when a capture states its input calibration
+const REFERENCE_INPUT_DBU = 12.2;
+
+// Minimal shape checks per architecture; the worklet verifies weight counts
+const ARCHITECTURES = {
+    WaveNet: (config) => Array.isArray(config.layers) && config.layers.length > 0,
+    LSTM: (config) => config.num_layers > 0 && config.hidden_size > 0,
+    ConvNet: (config) => Array.isArray(config.dilations) && config.channels > 0,
+    Linear: (config) => config.receptive_field > 0
+};
+
+function checkVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+    if (!match) {
+        throw new Error(`Capture has no valid version (got "${version}")`);
+    }
+    if (Number(match[1]) !== 0 || Number(match[2]) !== 5) {
+        throw new Error(`Unsupported NAM file version ${version} (supported: 0.5.x)`);
+    }
+}
+
+function readInfo(data) {
+    const meta = data.metadata || {};
+    const latency = meta.training?.data?.latency || {};
+    const numberOrNull = (value) => (typeof value === 'number' ? value : null);
+
+    return {
+        name: meta.name || null,
+        modeledBy: meta.modeled_by || null,
+        gearType: meta.gear_type || null,
+        gearMake: meta.gear_make || null,
+        gearModel: meta.gear_model || null,
+        toneType: meta.tone_type || null,
+        loudness: numberOrNull(meta.loudness),
+        gain: numberOrNull(meta.gain),
+        inputLevelDbu: numberOrNull(meta.input_level_dbu),
+        outputLevelDbu: numberOrNull(meta.output_level_dbu),
+        // Reamp latency (samples) found when the capture was trained
+        latency: numberOrNull(latency.manual) ?? numberOrNull(latency.calibration?.recommended)
+    };
+}
+
+export function parseNamModel(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch (e) {
+            throw new Error('Capture file is not valid JSON');
+        }
+    }
+
+    if (!data || !data.architecture || !data.config || !Array.isArray(data.weights)) {
+        throw new Error('Not a NAM model file (missing architecture, config or weights)');
+    }
+    checkVersion(data.version);
+
+    const validate = ARCHITECTURES[data.architecture];
+    if (!validate) {
+        throw new Error(`Unsupported NAM architecture: ${data.architecture}`);
+    }
+    if (!validate(data.config)) {
+        throw new Error(`Invalid ${data.architecture} config`);
+    }
+
+    return {
+        version: data.version,
+        architecture: data.architecture,
+        config: data.config,
+        weights: Float32Array.from(data.weights),
+        sampleRate: data.sample_rate || 48000,
+        info: readInfo(data)
+    };
+}
+
+export async function fetchNamModel(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Capture not found: ${url}`);
+    return parseNamModel(await response.text());
+}
+
+// Linear input/output trims derived from the capture's metadata
+export function getModelGains(info) {
+    const inputDb = info.inputLevelDbu !== null ? REFERENCE_INPUT_DBU - info.inputLevelDbu : 0;
+    const outputDb = info.loudness !== null ? TARGET_LOUDNESS_DB - info.loudness : 0;
+    return {
+        inputGain: Math.pow(10, inputDb / 20),
+        outputGain: Math.pow(10, outputDb / 20)
+    };
+}
@@ -0,0 +1,518 @@
+// Engine parameter table: every continuous control the engine exposes.
+//
+//   min / max / default   logical range, as knobs and MIDI see it
+//   unit                  display unit
+//   curve                 knob taper: 'linear', 'quadratic' for time
+//                         controls that need fine steps near the minimum,
+//                         or 'log' for frequencies (equal steps per octave)
+//   targets               AudioParams the value drives ({ node, param, map });
+//                         params that feed computed values (preGain, master
+//                         with capture sets) are also handled by the engine
+//   smooth                false for on/off params that must not glide
+//   step                  values snap to multiples of this (stepped knobs)
+//   format                display text of a value, when the unit isn't enough
+
+import { DRIVE_PEDALS, mapDrive, mapTone } from './drive-pedals.js';
+
+const same = (v) => v;
+
+// Note values synced to the global tempo, in beats (quarter notes), for
+// delay times and modulation cycles. Index 0 leaves the block on its own
+// TIME / RATE knob.
+export const NOTE_DIVISIONS = [
+    { label: 'OFF', beats: 0 },
+    { label: '1/2', beats: 2 },
+    { label: '1/4.', beats: 1.5 },
+    { label: '1/4', beats: 1 },
+    { label: '1/4T', beats: 2 / 3 },
+    { label: '1/8.', beats: 0.75 },
+    { label: '1/8', beats: 0.5 },
+    { label: '1/8T', beats: 1 / 3 },
+    { label: '1/16', beats: 0.25 }
+];
+
+// Parametric EQ bands (gain, frequency and Q each, and a bypass switch)
+export const EQ_BANDS = [
+    { type: 'lowshelf', frequency: 100 },
+    { type: 'peaking', frequency: 250 },
+    { type: 'peaking', frequency: 800 },
+    { type: 'peaking', frequency: 2000 },
+    { type: 'peaking', frequency: 5000 },
+    { type: 'highshelf', frequency: 10000 }
+];
+
+// Graphic EQ band centres (Hz)
+export const GRAPHIC_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const EQ_MODES = [
+    { id: 'parametric', label: 'PARAM' },
+    { id: 'graphic', label: 'GRAPHIC' }
+];
+
+// High / low cut slopes: the Q of each cascaded 12dB/oct stage (Butterworth)
+export const CUT_SLOPES = [
+    { label: 'OFF', stages: [] },
+    { label: '12 dB', stages: [0.7071] },
+    { label: '24 dB', stages: [0.5412, 1.3066] },
+    { label: '36 dB', stages: [0.5176, 0.7071, 1.9319] },
+    { label: '48 dB', stages: [0.5098, 0.6013, 0.9000, 2.5629] }
+];
+
+// Modulation types (see routeModulation)
+export const MOD_TYPES = [
+    { id: 'chorus', label: 'CHORUS' },
+    { id: 'vibrato', label: 'VIBRATO' },
+    { id: 'tremolo', label: 'TREMOLO' },
+    { id: 'phaser', label: 'PHASER' },
+    { id: 'flanger', label: 'FLANGER' }
+];
+
+// Tremolo LFO shapes; 'bias' dips harder than it rises like a tube bias tremolo
+export const TREMOLO_SHAPES = [
+    { id: 'sine', label: 'SINE' },
+    { id: 'square', label: 'SQUARE' },
+    { id: 'bias', label: 'BIAS' }
+];
+
+// Reverb types (see reverb-impulse.js); 'convolution' plays a loaded room IR
+export const REVERB_TYPES = [
+    { id: 'spring', label: 'SPRING' },
+    { id: 'plate', label: 'PLATE' },
+    { id: 'hall', label: 'HALL' },
+    { id: 'room', label: 'ROOM' },
+    { id: 'convolution', label: 'IR' }
+];
+
+export const PARAMS = {
+    gate: {
+        min: -80, max: 0, default: -60, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'gate', param: 'threshold', map: same }]
+    },
+    gateHysteresis: {
+        min: 0, max: 30, default: 6, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'gate', param: 'hysteresis', map: same }]
+    },
+    gateHold: {
+        min: 0, max: 500, default: 50, unit: 'ms', curve: 'quadratic',
+        targets: [{ node: 'gate', param: 'hold', map: same }]
+    },
+    gateAttack: {
+        min: 0.05, max: 200, default: 1, unit: 'ms', curve: 'quadratic',
+        targets: [{ node: 'gate', param: 'attack', map: same }]
+    },
+    gateRelease: {
+        min: 5, max: 1000, default: 100, unit: 'ms', curve: 'quadratic',
+        targets: [{ node: 'gate', param: 'release', map: same }]
+    },
+    compressor: {
+        // Single knob controls Ratio (1:1 -> 12:1) and Threshold (-30 -> -50)
+        min: 0, max: 1, default: 0, unit: '', curve: 'linear',
+        targets: [
+            { node: 'compressor', param: 'ratio', map: (v) => 1 + v * 11 },
+            { node: 'compressor', param: 'threshold', map: (v) => -30 - v * 20 }
+        ]
+    },
+    preGain: {
+        // Applied through the drive multiplier and amp stage (see applyPreGain)
+        min: 0, max: 10, default: 3, unit: '', curve: 'linear',
+        targets: []
+    },
+    voice: {
+        // Positive values boost mids for warmth, negative values scoop for clarity
+        min: -5, max: 5, default: 0, unit: '', curve: 'linear',
+        targets: [
+            { node: 'voice', param: 'gain', map: (v) => v * 3 }, // -15dB to 15dB
+            { node: 'voice', param: 'Q', map: (v) => 1.5 + Math.abs(v) * 0.2 }
+        ]
+    },
+    bass: {
+        min: -10, max: 10, default: 0, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'bass', param: 'gain', map: same }]
+    },
+    mid: {
+        min: -10, max: 10, default: 0, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'mid', param: 'gain', map: same }]
+    },
+    treble: {
+        min: -10, max: 10, default: 0, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'treble', param: 'gain', map: same }]
+    },
+    presence: {
+        min: 0, max: 10, default: 0, unit: 'dB', curve: 'linear',
+        targets: [{ node: 'presence', param: 'gain', map: same }]
+    },
+    master: {
+        min: 0, max: 10, default: 5, unit: '', curve: 'linear',
+        targets: [{ node: 'master', param: 'gain', map: (v) => v * 0.2 }] // Scaling down for safety
+    },
+    delayTime: {
+        // Used while DIV is off (see applyDelay)
+        min: 20, max: 2000, default: 400, unit: 'ms', curve: 'quadratic',
+        targets: []
+    },
+    delaySync: {
+        // Index into NOTE_DIVISIONS
+        min: 0, max: NOTE_DIVISIONS.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => NOTE_DIVISIONS[v].label,
+        targets: []
+    },
+    delayFeedback: {
+        min: 0, max: 95, default: 35, unit: '%', curve: 'linear',
+        targets: [
+            { node: 'delayFeedback', param: 'gain', map: (v) => v / 100 },
+            { node: 'delayCross', param: 'gain', map: (v) => v / 100 } // ping-pong L -> R
+        ]
+    },
+    delayMix: {
+        // Wet level, held at zero when bypassed without spillover (see applyDelay)
+        min: 0, max: 100, default: 30, unit: '%', curve: 'linear',
+        targets: []
+    },
+    delayLowCut: {
+        // Filters inside the feedback loop: each repeat gets thinner / darker
+        min: 20, max: 1000, default: 80, unit: 'Hz', curve: 'quadratic',
+        targets: [{ node: 'delayLowCut', param: 'frequency', map: same }]
+    },
+    delayHighCut: {
+        min: 1000, max: 20000, default: 6000, unit: 'Hz', curve: 'quadratic',
+        targets: [{ node: 'delayHighCut', param: 'frequency', map: same }]
+    },
+    delayModRate: {
+        min: 0.1, max: 5, default: 0.6, unit: 'Hz', curve: 'quadratic',
+        format: (v) => `${v.toFixed(1)} Hz`,
+        targets: [{ node: 'delayModOsc', param: 'frequency', map: same }]
+    },
+    delayModDepth: {
+        // Tape-style wow: up to 4ms of delay time swing
+        min: 0, max: 100, default: 0, unit: '%', curve: 'linear',
+        targets: [{ node: 'delayModDepth', param: 'gain', map: (v) => v * 0.00004 }]
+    },
+    modType: {
+        // Index into MOD_TYPES; type, rate, depth and mix are applied together (see applyModulation)
+        min: 0, max: MOD_TYPES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => MOD_TYPES[v].label,
+        targets: []
+    },
+    modRate: {
+        // Used while DIV is off
+        min: 0.1, max: 10, default: 1.5, unit: 'Hz', curve: 'quadratic',
+        format: (v) => `${v.toFixed(1)} Hz`,
+        targets: []
+    },
+    modSync: {
+        // Index into NOTE_DIVISIONS: one LFO cycle per note
+        min: 0, max: NOTE_DIVISIONS.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => NOTE_DIVISIONS[v].label,
+        targets: []
+    },
+    modDepth: {
+        min: 0, max: 100, default: 50, unit: '%', curve: 'linear',
+        targets: []
+    },
+    modMix: {
+        // Vibrato and tremolo are fully wet and ignore it
+        min: 0, max: 100, default: 50, unit: '%', curve: 'linear',
+        targets: []
+    },
+    modShape: {
+        // Index into TREMOLO_SHAPES
+        min: 0, max: TREMOLO_SHAPES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => TREMOLO_SHAPES[v].label,
+        targets: []
+    },
+    reverbType: {
+        // Index into REVERB_TYPES; type and decay rebuild the impulse (see updateReverbImpulse)
+        min: 0, max: REVERB_TYPES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => REVERB_TYPES[v].label,
+        targets: []
+    },
+    reverbDecay: {
+        min: 0.3, max: 10, default: 2, unit: 's', curve: 'quadratic',
+        targets: []
+    },
+    reverbPreDelay: {
+        min: 0, max: 250, default: 10, unit: 'ms', curve: 'quadratic',
+        targets: [{ node: 'reverbPreDelay', param: 'delayTime', map: (v) => v / 1000 }]
+    },
+    reverbTone: {
+        // Lowpass on the wet signal, 1kHz -> 16kHz
+        min: 0, max: 10, default: 6, unit: '', curve: 'linear',
+        targets: [{ node: 'reverbTone', param: 'frequency', map: (v) => 1000 * Math.pow(16, v / 10) }]
+    },
+    reverbMix: {
+        // Wet level, held at zero when bypassed without spillover (see applyReverb)
+        min: 0, max: 100, default: 25, unit: '%', curve: 'linear',
+        targets: []
+    }
+};
+
+// Panel switches, applied like params ({ node, param, map(isActive) })
+export const SWITCHES = {
+    gate: {
+        // Off bypasses the gate, its settings are kept
+        default: true,
+        targets: [{ node: 'gate', param: 'bypass', map: (on) => (on ? 0 : 1) }]
+    },
+    gateSidechain: {
+        // Keys the gate from the dry DI wherever it sits in the chain
+        default: false,
+        targets: [{ node: 'gate', param: 'sidechain', map: (on) => (on ? 1 : 0) }]
+    },
+    bright: {
+        default: false,
+        targets: [{ node: 'bright', param: 'gain', map: (on) => (on ? 6 : 0) }] // +6dB High Shelf
+    },
+    compressor: {
+        // Bypass crossfades to the dry signal
+        default: true,
+        targets: [
+            { node: 'compressorWet', param: 'gain', map: (on) => (on ? 1 : 0) },
+            { node: 'compressorDry', param: 'gain', map: (on) => (on ? 0 : 1) }
+        ]
+    },
+    drive: {
+        // Doubles the pre-amp gain and hardens the distortion (see applyPreGain)
+        default: false,
+        targets: []
+    },
+    delay: {
+        // Off closes the send; the wet output follows spillover (see applyDelay)
+        default: false,
+        targets: [{ node: 'delaySend', param: 'gain', map: (on) => (on ? 1 : 0) }]
+    },
+    delayPingPong: {
+        // Repeats bounce between the sides (see routeDelay)
+        default: false,
+        targets: []
+    },
+    delaySpillover: {
+        // Repeats ring out when the delay is switched off
+        default: true,
+        targets: []
+    },
+    mod: {
+        // Off fades the wet paths out (see applyModulation)
+        default: false,
+        targets: []
+    },
+    reverb: {
+        default: false,
+        targets: [{ node: 'reverbSend', param: 'gain', map: (on) => (on ? 1 : 0) }]
+    },
+    reverbSpillover: {
+        default: true,
+        targets: []
+    }
+};
+
+// Each drive pedal gets DRIVE / TONE / LEVEL knobs and an on/off switch
+// (see drive-pedals.js)
+Object.entries(DRIVE_PEDALS).forEach(([id, pedal]) => {
+    PARAMS[`${id}Drive`] = {
+        min: 0, max: 10, default: 5, unit: '', curve: 'linear',
+        targets: [{ node: `${id}Gain`, param: 'gain', map: (v) => mapDrive(pedal, v) }]
+    };
+    PARAMS[`${id}Tone`] = {
+        min: 0, max: 10, default: 5, unit: '', curve: 'linear',
+        targets: [{ node: `${id}Tone`, param: pedal.tone.type === 'highshelf' ? 'gain' : 'frequency', map: (v) => mapTone(pedal, v) }]
+    };
+    PARAMS[`${id}Level`] = {
+        min: 0, max: 10, default: 5, unit: '', curve: 'linear',
+        targets: [{ node: `${id}Level`, param: 'gain', map: (v) => (v / 5) * pedal.trim }]
+    };
+    SWITCHES[id] = {
+        // Bypass crossfades to the dry signal
+        default: false,
+        targets: [
+            { node: `${id}Wet`, param: 'gain', map: (on) => (on ? 1 : 0) },
+            { node: `${id}Dry`, param: 'gain', map: (on) => (on ? 0 : 1) }
+        ]
+    };
+});
+
+// EQ (see routeEq / applyEq). Band gains are applied by the engine so the
+// band switches can zero them; the canvas in eq-controller.js edits them.
+const cutStages = (name) => CUT_SLOPES[CUT_SLOPES.length - 1].stages.map((_, i) => ({ node: `${name}${i}`, param: 'frequency', map: same }));
+Object.assign(PARAMS, {
+    eqMode: {
+        min: 0, max: EQ_MODES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => EQ_MODES[v].label,
+        targets: []
+    },
+    eqLowCut: {
+        min: 20, max: 1000, default: 60, unit: 'Hz', curve: 'log',
+        targets: cutStages('eqLowCut')
+    },
+    eqLowCutSlope: {
+        min: 0, max: CUT_SLOPES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => CUT_SLOPES[v].label,
+        targets: []
+    },
+    eqHighCut: {
+        min: 1000, max: 20000, default: 12000, unit: 'Hz', curve: 'log',
+        targets: cutStages('eqHighCut')
+    },
+    eqHighCutSlope: {
+        min: 0, max: CUT_SLOPES.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+        format: (v) => CUT_SLOPES[v].label,
+        targets: []
+    }
+});
+EQ_BANDS.forEach((band, i) => {
+    const n = i + 1;
+    PARAMS[`eqBand${n}Gain`] = {
+        min: -15, max: 15, default: 0, unit: 'dB', curve: 'linear',
+        targets: []
+    };
+    PARAMS[`eqBand${n}Freq`] = {
+        min: 20, max: 20000, default: band.frequency, unit: 'Hz', curve: 'log',
+        targets: [{ node: `eqBand${n}`, param: 'frequency', map: same }]
+    };
+    PARAMS[`eqBand${n}Q`] = {
+        min: 0.3, max: 8, default: 1, unit: '', curve: 'quadratic',
+        targets: [{ node: `eqBand${n}`, param: 'Q', map: same }]
+    };
+    SWITCHES[`eqBand${n}`] = { default: true, targets: [] };
+});
+GRAPHIC_BANDS.forEach((frequency, i) => {
+    PARAMS[`eqGraphic${i + 1}`] = {
+        min: -12, max: 12, default: 0, unit: 'dB', curve: 'linear',
+        targets: [{ node: `eqGraphic${i + 1}`, param: 'gain', map: same }]
+    };
+});
+SWITCHES.eq = {
+    // Bypass crossfades to the dry signal
+    default: false,
+    targets: [
+        { node: 'eqWet', param: 'gain', map: (on) => (on ? 1 : 0) },
+        { node: 'eqDry', param: 'gain', map: (on) => (on ? 0 : 1) }
+    ]
+};
+
+// Dual-amp mode (see AudioEngine.buildAmp / routeChain). Amp B repeats the
+// head knobs on its own nodes, suffixed `B` (bassB -> node bassB).
+export const AMPS = { A: '', B: 'B' };
+
+// A/B/A+B footswitch positions
+export const AMP_SELECTIONS = [
+    { label: 'A', amps: ['A'] },
+    { label: 'B', amps: ['B'] },
+    { label: 'A+B', amps: ['A', 'B'] }
+];
+
+['preGain', 'voice', 'bass', 'mid', 'treble', 'presence'].forEach(id => {
+    PARAMS[`${id}B`] = {
+        ...PARAMS[id],
+        targets: PARAMS[id].targets.map(target => ({ ...target, node: `${target.node}B` }))
+    };
+});
+SWITCHES.driveB = { ...SWITCHES.drive };
+
+const panLabel = (v) => {
+    const amount = Math.round(Math.abs(v));
+    return amount === 0 ? 'C' : `${amount} ${v < 0 ? 'L' : 'R'}`;
+};
+Object.values(AMPS).forEach(suffix => {
+    PARAMS[`ampLevel${suffix}`] = {
+        min: 0, max: 100, default: 100, unit: '%', curve: 'quadratic',
+        targets: [{ node: `ampLevel${suffix}`, param: 'gain', map: (v) => v / 100 }]
+    };
+    PARAMS[`ampPan${suffix}`] = {
+        min: -100, max: 100, default: 0, unit: '', curve: 'linear',
+        format: panLabel,
+        targets: [{ node: `ampPan${suffix}`, param: 'pan', map: (v) => v / 100 }]
+    };
+});
+PARAMS.ampSelect = {
+    // Index into AMP_SELECTIONS; changing it rewires the chain
+    min: 0, max: AMP_SELECTIONS.length - 1, default: 0, unit: '', curve: 'linear', step: 1,
+    format: (v) => AMP_SELECTIONS[v].label,
+    targets: []
+};
+SWITCHES.ampPhaseB = {
+    // Flips amp B's polarity against amp A
+    default: false,
+    targets: [{ node: 'ampPolarityB', param: 'gain', map: (on) => (on ? -1 : 1) }]
+};
+
+// Cab IR slots of each amp (see AudioEngine.applyCab): slot -> node and
+// param suffix, before the amp's (cab, cab2, cabB, cab2B)
+export const CAB_SLOTS = { 1: '', 2: '2' };
+
+Object.values(AMPS).forEach(suffix => {
+    PARAMS[`cabBlend${suffix}`] = {
+        // Slot 1 at 0, slot 2 at 100 (equal power)
+        min: 0, max: 100, default: 0, unit: '%', curve: 'linear',
+        targets: []
+    };
+    SWITCHES[`cabAlign${suffix}`] = {
+        // Delays the earlier IR so both onsets line up
+        default: true,
+        targets: []
+    };
+    Object.values(CAB_SLOTS).forEach(slot => {
+        const id = (name) => `${name}${slot}${suffix}`;
+        PARAMS[id('cabLevel')] = {
+            min: -24, max: 6, default: 0, unit: 'dB', curve: 'linear',
+            targets: []
+        };
+        PARAMS[id('cabPan')] = {
+            min: -100, max: 100, default: 0, unit: '', curve: 'linear',
+            format: panLabel,
+            targets: [{ node: id('cabPan'), param: 'pan', map: (v) => v / 100 }]
+        };
+        PARAMS[id('cabDelay')] = {
+            // Samples, on top of the alignment
+            min: 0, max: 256, default: 0, unit: '', curve: 'quadratic', step: 1,
+            format: (v) => `${v} smp`,
+            targets: []
+        };
+        SWITCHES[id('cabPhase')] = { default: false, targets: [] };
+    });
+});
+
+export function getParamDefaults() {
+    const values = {};
+    Object.entries(PARAMS).forEach(([id, def]) => {
+        values[id] = def.default;
+    });
+    return values;
+}
+
+export function getSwitchDefaults() {
+    const state = {};
+    Object.entries(SWITCHES).forEach(([name, def]) => {
+        state[name] = def.default;
+    });
+    return state;
+}
+
+// Display text of a value, e.g. '120 ms' or '1/8.'
+export function formatParam(id, value) {
+    const def = PARAMS[id];
+    if (def && def.format) return def.format(value);
+    const unit = def ? def.unit : '';
+    let text = value.toFixed(['ms', 'Hz', '%'].includes(unit) ? 0 : 1);
+    if (unit) text += ` ${unit}`;
+    return text;
+}
+
+// Knob position (0-1) of a value, following the param's taper
+export function normalizeParam(id, value) {
+    const def = PARAMS[id];
+    if (!def) return null;
+    if (def.curve === 'log') {
+        return Math.min(Math.max(Math.log(value / def.min) / Math.log(def.max / def.min), 0), 1);
+    }
+    const x = Math.min(Math.max((value - def.min) / (def.max - def.min), 0), 1);
+    return def.curve === 'quadratic' ? Math.sqrt(x) : x;
+}
+
+export function denormalizeParam(id, position) {
+    const def = PARAMS[id];
+    if (!def) return null;
+    const x = Math.min(Math.max(position, 0), 1);
+    if (def.curve === 'log') return def.min * Math.pow(def.max / def.min, x);
+    const value = def.min + (def.max - def.min) * (def.curve === 'quadratic' ? x * x : x);
+    return def.step ? def.min + Math.round((value - def.min) / def.step) * def.step : value;
+}
@@ -0,0 +1,144 @@
+// Pedalboard row above the amp head: the chain's blocks in signal order.
+// Drag a pedal onto another to move it there, click its footswitch to
+// bypass it, × takes it off the board and ADD puts it back (the gate
+// always stays on).
+
+import { BLOCKS } from './audio-engine.js';
+import { AMP_SELECTIONS } from './params.js';
+
+export class PedalboardController {
+    constructor(audioEngine, uiController) {
+        this.audio = audioEngine;
+        this.ui = uiController;
+        // Block being dragged
+        this.dragging = null;
+
+        this.row = document.getElementById('pedal-row');
+        this.addSelect = document.getElementById('pedal-add-select');
+    }
+
+    init() {
+        if (!this.row) return;
+        this.audio.onChainUpdate = () => this.render();
+        this.setupEventListeners();
+        this.render();
+        console.log("Pedalboard Initialized");
+    }
+
+    setupEventListeners() {
+        // Footswitch LEDs follow the panel switches
+        document.addEventListener('change', (e) => {
+            if (e.target.id && e.target.id.startsWith('sw-')) this.render();
+        });
+
+        if (this.addSelect) {
+            this.addSelect.addEventListener('change', (e) => {
+                const id = e.target.value;
+                e.target.value = '';
+                if (id) this.audio.insertBlock(id, this.audio.getChain().length);
+            });
+        }
+    }
+
+    // Where a block sits relative to the amp and the cab. With both amps
+    // on, the loop runs after the mixed cabs (see AudioEngine.routeChain).
+    getPosition(chain, index) {
+        const dual = AMP_SELECTIONS[this.audio.getParam('ampSelect')].amps.length > 1;
+        if (index < chain.indexOf('amp')) return 'PRE-AMP';
+        if (index < chain.indexOf('cab')) return dual ? 'POST' : 'FX LOOP';
+        return 'POST';
+    }
+
+    render() {
+        const chain = this.audio.getChain();
+        this.row.innerHTML = '';
+        chain.forEach((id, index) => this.row.appendChild(this.createPedal(id, BLOCKS[id].fixed ? '' : this.getPosition(chain, index))));
+
+        if (this.addSelect) {
+            this.addSelect.innerHTML = '<option value="">+ ADD</option>';
+            Object.entries(BLOCKS).filter(([id]) => !chain.includes(id)).forEach(([id, block]) => {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = block.label;
+                this.addSelect.appendChild(option);
+            });
+            this.addSelect.disabled = this.addSelect.options.length === 1;
+        }
+    }
+
+    createPedal(id, position) {
+        const block = BLOCKS[id];
+        const pedal = document.createElement('div');
+        pedal.className = 'pedal';
+        pedal.dataset.block = id;
+
+        const name = document.createElement('span');
+        name.className = 'pedal-name';
+        name.textContent = id === 'amp' ? `AMP ${AMP_SELECTIONS[this.audio.getParam('ampSelect')].label}` : block.label;
+        pedal.appendChild(name);
+
+        if (block.fixed) {
+            pedal.classList.add('fixed');
+        } else {
+            pedal.draggable = true;
+            pedal.addEventListener('dragstart', (e) => {
+                this.dragging = id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', id);
+                pedal.classList.add('dragging');
+            });
+            pedal.addEventListener('dragend', () => {
+                this.dragging = null;
+                pedal.classList.remove('dragging');
+            });
+
+            if (!block.kept) {
+                const remove = document.createElement('button');
+                remove.className = 'pedal-remove';
+                remove.title = 'Take off the board';
+                remove.textContent = '×';
+                remove.addEventListener('click', () => this.audio.removeBlock(id));
+                pedal.appendChild(remove);
+            }
+
+            const sw = document.getElementById(`sw-${block.switch}`);
+            const footswitch = document.createElement('button');
+            footswitch.className = 'pedal-switch';
+            footswitch.title = 'Bypass';
+            if (sw && sw.checked) footswitch.classList.add('active');
+            else pedal.classList.add('bypassed');
+            footswitch.addEventListener('click', () => {
+                if (sw) this.ui.setSwitch(block.switch, !sw.checked);
+            });
+            pedal.appendChild(footswitch);
+
+            const label = document.createElement('span');
+            label.className = 'pedal-position';
+            label.textContent = position;
+            pedal.appendChild(label);
+        }
+
+        // Any pedal takes a drop: left half before it, right half after it
+        pedal.addEventListener('dragover', (e) => {
+            if (!this.dragging || this.dragging === id) return;
+            e.preventDefault();
+            pedal.classList.add('drag-over');
+        });
+        pedal.addEventListener('dragleave', () => pedal.classList.remove('drag-over'));
+        pedal.addEventListener('drop', (e) => {
+            e.preventDefault();
+            pedal.classList.remove('drag-over');
+            const rect = pedal.getBoundingClientRect();
+            this.drop(id, e.clientX > rect.left + rect.width / 2);
+        });
+
+        return pedal;
+    }
+
+    drop(targetId, after) {
+        const dragged = this.dragging;
+        if (!dragged || dragged === targetId) return;
+        const chain = this.audio.getChain().filter(id => id !== dragged);
+        this.audio.moveBlock(dragged, chain.indexOf(targetId) + (after ? 1 : 0));
+    }
+}
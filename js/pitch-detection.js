@@ -0,0 +1,94 @@
+// YIN pitch detection (de Cheveigné & Kawahara, 2002) for the tuner.
+// The default range covers a 7-string's low B (B1, 62 Hz), with room for
+// drop tunings down to 28 Hz, up to high E harmonics around the 24th fret.
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Below this RMS the input is treated as silence
+const SILENCE_RMS = 0.003;
+
+// Analysis above this rate is decimated by 2; guitar pitch needs far less
+const MAX_ANALYSIS_RATE = 32000;
+
+function decimate(samples) {
+    const out = new Float32Array(samples.length >> 1);
+    for (let i = 0; i < out.length; i++) {
+        // Averaging pairs doubles as the anti-alias filter
+        out[i] = (samples[2 * i] + samples[2 * i + 1]) * 0.5;
+    }
+    return out;
+}
+
+// Returns { frequency, clarity } or null when no clear pitch is found.
+// `samples` must hold at least two periods of `minFrequency`.
+export function detectPitch(samples, sampleRate, { minFrequency = 28, maxFrequency = 1400, threshold = 0.15 } = {}) {
+    let rms = 0;
+    for (let i = 0; i < samples.length; i++) rms += samples[i] * samples[i];
+    if (Math.sqrt(rms / samples.length) < SILENCE_RMS) return null;
+
+    let x = samples;
+    let rate = sampleRate;
+    if (rate > MAX_ANALYSIS_RATE) {
+        x = decimate(samples);
+        rate /= 2;
+    }
+
+    const tauMin = Math.max(2, Math.floor(rate / maxFrequency));
+    const tauMax = Math.min(Math.ceil(rate / minFrequency), Math.floor(x.length / 2));
+    const window = x.length - tauMax;
+    if (tauMax <= tauMin) return null;
+
+    // Cumulative mean normalized difference
+    const cmnd = new Float32Array(tauMax + 1);
+    cmnd[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= tauMax; tau++) {
+        let sum = 0;
+        for (let j = 0; j < window; j++) {
+            const delta = x[j] - x[j + tau];
+            sum += delta * delta;
+        }
+        runningSum += sum;
+        cmnd[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+    }
+
+    // First dip under the threshold (avoids octave-down errors), else the
+    // deepest dip if it is still reasonably periodic
+    let best = -1;
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+        if (cmnd[tau] < threshold) {
+            while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) tau++;
+            best = tau;
+            break;
+        }
+    }
+    if (best < 0) {
+        for (let tau = tauMin; tau <= tauMax; tau++) {
+            if (best < 0 || cmnd[tau] < cmnd[best]) best = tau;
+        }
+        if (cmnd[best] > 0.35) return null;
+    }
+
+    // Parabolic interpolation between neighbouring lags
+    let period = best;
+    if (best > 1 && best < tauMax) {
+        const a = cmnd[best - 1];
+        const b = cmnd[best];
+        const c = cmnd[best + 1];
+        const denominator = a - 2 * b + c;
+        if (denominator > 0) period = best + (a - c) / (2 * denominator);
+    }
+
+    return { frequency: rate / period, clarity: 1 - cmnd[best] };
+}
+
+// e.g. 82.4 Hz at A=440 -> { name: 'E', octave: 2, cents: -0.1 }
+export function frequencyToNote(frequency, reference = 440) {
+    const midi = 69 + 12 * Math.log2(frequency / reference);
+    const nearest = Math.round(midi);
+    return {
+        name: NOTE_NAMES[((nearest % 12) + 12) % 12],
+        octave: Math.floor(nearest / 12) - 1,
+        cents: (midi - nearest) * 100
+    };
+}
@@ -0,0 +1,183 @@
+// Transport bar for the file player: load a DI riff or backing track, play
+// it into the amp or alongside it, loop an A-B section and change its speed
+// or key.
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+export class PlayerController {
+    constructor(audioEngine) {
+        this.audio = audioEngine;
+        // Loop points being set (seconds), null until marked
+        this.pointA = null;
+        this.pointB = null;
+        this.seeking = false;
+
+        this.fileInput = document.getElementById('player-file');
+        this.playBtn = document.getElementById('player-play-btn');
+        this.stopBtn = document.getElementById('player-stop-btn');
+        this.nameDisplay = document.getElementById('player-name');
+        this.seekBar = document.getElementById('player-seek');
+        this.timeDisplay = document.getElementById('player-time');
+        this.aBtn = document.getElementById('player-a-btn');
+        this.bBtn = document.getElementById('player-b-btn');
+        this.loopBtn = document.getElementById('player-loop-btn');
+        this.loopDisplay = document.getElementById('player-loop');
+        this.speedSelect = document.getElementById('player-speed');
+        this.transposeSelect = document.getElementById('player-transpose');
+        this.modeSelect = document.getElementById('player-mode');
+        this.volumeSlider = document.getElementById('player-volume');
+    }
+
+    init() {
+        if (this.speedSelect) {
+            for (let percent = 50; percent <= 150; percent += 5) {
+                const option = document.createElement('option');
+                option.value = percent / 100;
+                option.textContent = `${percent}%`;
+                this.speedSelect.appendChild(option);
+            }
+            this.speedSelect.value = 1;
+        }
+        if (this.transposeSelect) {
+            for (let semitones = -12; semitones <= 12; semitones++) {
+                const option = document.createElement('option');
+                option.value = semitones;
+                option.textContent = semitones > 0 ? `+${semitones}` : `${semitones}`;
+                this.transposeSelect.appendChild(option);
+            }
+            this.transposeSelect.value = 0;
+        }
+
+        this.audio.onPlayerUpdate = (player) => this.showState(player);
+        this.setupEventListeners();
+        this.showState(this.audio.player);
+        console.log("File Player Initialized");
+    }
+
+    setupEventListeners() {
+        if (this.fileInput) {
+            this.fileInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) await this.loadFile(file);
+            });
+        }
+        if (this.playBtn) {
+            this.playBtn.addEventListener('click', () => this.togglePlay());
+        }
+        if (this.stopBtn) {
+            this.stopBtn.addEventListener('click', () => {
+                if (!this.audio.player.data) return;
+                this.audio.setPlayerPlaying(false);
+                this.audio.seekPlayer(this.audio.player.loop ? this.audio.player.loopStart : 0);
+            });
+        }
+        if (this.seekBar) {
+            // The bar follows playback except while being dragged
+            this.seekBar.addEventListener('input', () => {
+                this.seeking = true;
+                this.timeDisplay.textContent = this.formatPosition(parseFloat(this.seekBar.value));
+            });
+            this.seekBar.addEventListener('change', () => {
+                this.seeking = false;
+                if (this.audio.player.data) this.audio.seekPlayer(parseFloat(this.seekBar.value));
+            });
+        }
+        if (this.aBtn) {
+            this.aBtn.addEventListener('click', () => this.markLoopPoint('a'));
+        }
+        if (this.bBtn) {
+            this.bBtn.addEventListener('click', () => this.markLoopPoint('b'));
+        }
+        if (this.loopBtn) {
+            this.loopBtn.addEventListener('click', () => {
+                const player = this.audio.player;
+                if (!player.data) return;
+                this.audio.setPlayerLoop(this.pointA ?? 0, this.pointB ?? player.duration, !player.loop);
+                this.showState(player);
+            });
+        }
+        if (this.speedSelect) {
+            this.speedSelect.addEventListener('change', (e) => this.audio.setPlayerSpeed(parseFloat(e.target.value)));
+        }
+        if (this.transposeSelect) {
+            this.transposeSelect.addEventListener('change', (e) => this.audio.setPlayerTranspose(parseInt(e.target.value)));
+        }
+        if (this.modeSelect) {
+            this.modeSelect.addEventListener('change', (e) => this.audio.setPlayerMode(e.target.value));
+        }
+        if (this.volumeSlider) {
+            this.volumeSlider.addEventListener('input', (e) => this.audio.setPlayerVolume(parseFloat(e.target.value)));
+        }
+    }
+
+    async loadFile(file) {
+        try {
+            await this.audio.loadPlayerFile(await file.arrayBuffer(), file.name);
+            this.pointA = null;
+            this.pointB = null;
+            this.showState(this.audio.player);
+        } catch (e) {
+            console.error("Failed to load player file", e);
+            alert(`Could not play ${file.name}: ${e.message || 'unsupported audio file'}`);
+        }
+    }
+
+    togglePlay() {
+        const player = this.audio.player;
+        if (!player.data) {
+            alert('Load an audio file to play first.');
+            return;
+        }
+        if (!player.playing && this.audio.ctx.state !== 'running') {
+            alert('Power on the amp to play the file.');
+            return;
+        }
+        this.audio.setPlayerPlaying(!player.playing);
+        this.showState(player);
+    }
+
+    // A and B mark the loop; an active loop follows them
+    markLoopPoint(point) {
+        const player = this.audio.player;
+        if (!player.data) return;
+
+        if (point === 'a') this.pointA = player.position;
+        else this.pointB = player.position;
+        if (this.pointA !== null && this.pointB !== null && this.pointB < this.pointA) {
+            [this.pointA, this.pointB] = [this.pointB, this.pointA];
+        }
+        if (player.loop) this.audio.setPlayerLoop(this.pointA ?? 0, this.pointB ?? player.duration, true);
+        this.showState(player);
+    }
+
+    // --- Display ---
+
+    formatPosition(position) {
+        return `${formatTime(position)} / ${formatTime(this.audio.player.duration)}`;
+    }
+
+    showState(player) {
+        if (!this.nameDisplay) return;
+
+        this.nameDisplay.textContent = player.name || 'No file loaded';
+        this.playBtn.textContent = player.playing ? '❚❚' : '▶';
+        this.playBtn.classList.toggle('active', player.playing);
+        this.loopBtn.classList.toggle('active', player.loop);
+        this.aBtn.classList.toggle('active', this.pointA !== null);
+        this.bBtn.classList.toggle('active', this.pointB !== null);
+
+        if (!this.seeking) {
+            this.seekBar.max = player.duration || 1;
+            this.seekBar.value = player.position;
+            this.timeDisplay.textContent = this.formatPosition(player.position);
+        }
+
+        const a = this.pointA ?? 0;
+        const b = this.pointB ?? player.duration;
+        this.loopDisplay.textContent = this.pointA !== null || this.pointB !== null ? `${formatTime(a)} – ${formatTime(b)}` : '';
+    }
+}
@@ -0,0 +1,165 @@
+import { PresetStore, createPreset, serializePreset, parsePreset } from './preset-store.js';
+
+// Preset bar in the top bar: recall, save, rename, delete, export and import
+export class PresetManager {
+    constructor(uiController) {
+        this.ui = uiController;
+        this.store = new PresetStore();
+        this.presets = [];
+        this.currentId = null;
+
+        this.presetSelect = document.getElementById('preset-select');
+        this.saveBtn = document.getElementById('preset-save-btn');
+        this.renameBtn = document.getElementById('preset-rename-btn');
+        this.deleteBtn = document.getElementById('preset-delete-btn');
+        this.exportBtn = document.getElementById('preset-export-btn');
+        this.importInput = document.getElementById('preset-import');
+    }
+
+    async init() {
+        this.setupEventListeners();
+        // Nothing is selected until a preset is recalled: the panel on load
+        // is the live state, not any stored preset
+        try {
+            await this.refresh(null);
+        } catch (e) {
+            console.error("Preset storage unavailable", e);
+        }
+        console.log("Preset Manager Initialized");
+    }
+
+    setupEventListeners() {
+        if (this.presetSelect) {
+            this.presetSelect.addEventListener('change', (e) => {
+                const id = parseInt(e.target.value);
+                if (!Number.isNaN(id)) this.recall(id);
+            });
+        }
+        if (this.saveBtn) this.saveBtn.addEventListener('click', () => this.save());
+        if (this.renameBtn) this.renameBtn.addEventListener('click', () => this.rename());
+        if (this.deleteBtn) this.deleteBtn.addEventListener('click', () => this.remove());
+        if (this.exportBtn) this.exportBtn.addEventListener('click', () => this.exportCurrent());
+
+        if (this.importInput) {
+            this.importInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = (event) => this.importText(event.target.result);
+                reader.readAsText(file);
+                e.target.value = '';
+            });
+        }
+    }
+
+    async refresh(selectId = this.currentId) {
+        this.presets = await this.store.list();
+        this.currentId = this.presets.some(p => p.id === selectId) ? selectId : null;
+        if (!this.presetSelect) return;
+
+        this.presetSelect.innerHTML = '<option value="">-- PRESETS --</option>';
+        this.presets.forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            // Numbered as MIDI devices show program changes, from 1
+            option.textContent = preset.program === null ? preset.name : `${preset.program + 1}. ${preset.name}`;
+            this.presetSelect.appendChild(option);
+        });
+        this.presetSelect.value = this.currentId === null ? '' : this.currentId;
+    }
+
+    getCurrent() {
+        return this.presets.find(p => p.id === this.currentId) || null;
+    }
+
+    async recall(id) {
+        try {
+            const preset = await this.store.get(id);
+            if (!preset) throw new Error('Preset not found');
+            await this.ui.applyRig(preset);
+            this.currentId = id;
+            if (this.presetSelect) this.presetSelect.value = id;
+            console.log(`Preset recalled: ${preset.name}`);
+        } catch (e) {
+            console.error("Failed to recall preset", e);
+            alert(`Could not load preset: ${e.message}`);
+        }
+    }
+
+    // Saving under the selected preset's name overwrites it
+    async save() {
+        const current = this.getCurrent();
+        const name = prompt('Preset name:', current ? current.name : 'New Preset');
+        if (!name || !name.trim()) return;
+
+        const preset = createPreset(name.trim(), this.ui.captureRig());
+        if (current && current.name === preset.name) {
+            preset.id = current.id;
+            preset.program = current.program;
+        }
+        try {
+            const id = await this.store.save(preset);
+            this.currentId = id;
+            await this.refresh(id);
+        } catch (e) {
+            console.error("Failed to save preset", e);
+            alert(`Could not save preset: ${e.message}`);
+        }
+    }
+
+    async rename() {
+        const current = this.getCurrent();
+        if (!current) return;
+
+        const name = prompt('Rename preset:', current.name);
+        if (!name || !name.trim()) return;
+        try {
+            await this.store.save({ ...current, name: name.trim() });
+            await this.refresh();
+        } catch (e) {
+            console.error("Failed to rename preset", e);
+            alert(`Could not rename preset: ${e.message}`);
+        }
+    }
+
+    async remove() {
+        const current = this.getCurrent();
+        if (!current || !confirm(`Delete preset "${current.name}"?`)) return;
+
+        try {
+            await this.store.delete(current.id);
+            await this.refresh(null);
+        } catch (e) {
+            console.error("Failed to delete preset", e);
+            alert(`Could not delete preset: ${e.message}`);
+        }
+    }
+
+    exportCurrent() {
+        const current = this.getCurrent();
+        if (!current) {
+            alert('Select a preset to export.');
+            return;
+        }
+
+        const blob = new Blob([serializePreset(current)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${current.name}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async importText(text) {
+        try {
+            const id = await this.store.save(parsePreset(text));
+            await this.refresh(id);
+            await this.recall(id);
+        } catch (e) {
+            console.error("Failed to import preset", e);
+            alert(`Could not import preset: ${e.message}`);
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// Rig presets: versioned JSON documents kept in IndexedDB and shared as
+// .json files. The custom IR and uploaded capture travel with the preset,
+// so a shared rig sounds the same on another machine.
+
+export const PRESET_FORMAT = 'ampsignals-preset';
+export const PRESET_VERSION = 1;
+
+const DB_NAME = 'ampsignals';
+const DB_VERSION = 1;
+const PRESET_STORE = 'presets';
+// MIDI program changes 0-127 (see MidiController)
+const PROGRAM_COUNT = 128;
+
+// Lowest program number no preset uses, or null with all of them taken
+function freeProgram(presets) {
+    const used = new Set(presets.map(p => p.program));
+    for (let program = 0; program < PROGRAM_COUNT; program++) {
+        if (!used.has(program)) return program;
+    }
+    return null;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class PresetStore {
+    constructor() {
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PRESET_STORE)) {
+                db.createObjectStore(PRESET_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        this.db = await promisify(request);
+        return this.db;
+    }
+
+    async run(mode, action) {
+        const db = await this.open();
+        const store = db.transaction(PRESET_STORE, mode).objectStore(PRESET_STORE);
+        return promisify(action(store));
+    }
+
+    // Presets saved before program numbers get theirs in list order, the
+    // order program changes used to follow
+    async list() {
+        const presets = await this.run('readonly', store => store.getAll());
+        presets.sort((a, b) => a.name.localeCompare(b.name));
+        for (const preset of presets.filter(p => p.program === undefined)) {
+            preset.program = freeProgram(presets);
+            await this.run('readwrite', store => store.put(preset));
+        }
+        return presets;
+    }
+
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    // Resolves with the preset id. New presets are given one, and the
+    // lowest free program number.
+    async save(preset) {
+        if (preset.program === undefined) {
+            const presets = await this.run('readonly', store => store.getAll());
+            preset = { ...preset, program: freeProgram(presets) };
+        }
+        return this.run('readwrite', store => store.put({ ...preset, updated: Date.now() }));
+    }
+
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
+
+// --- File Format ---
+
+function bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Chunked so large IRs don't overflow the argument list
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBuffer(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes.buffer;
+}
+
+// Builds a preset document from a rig (see UIController.captureRig)
+export function createPreset(name, rig) {
+    return {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name,
+        ...rig
+    };
+}
+
+// Cab IRs of a rig: amp A and B, slots 1 and 2
+const IR_KEYS = ['ir', 'ir2', 'irB', 'ir2B'];
+
+export function serializePreset(preset) {
+    // The id and program number are this browser's own
+    const { id, updated, program, ...doc } = preset;
+    IR_KEYS.forEach(key => {
+        const ir = doc[key];
+        if (ir) doc[key] = { name: ir.name, data: bufferToBase64(ir.data), bundled: ir.bundled, sampleRate: ir.sampleRate };
+    });
+    return JSON.stringify(doc, null, 2);
+}
+
+// Validates an exported preset and brings it up to PRESET_VERSION
+export function parsePreset(text) {
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Preset file is not valid JSON');
+    }
+
+    if (!doc || doc.format !== PRESET_FORMAT) {
+        throw new Error('Not an AmpSignals preset');
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        throw new Error(`Preset has no valid version (got "${doc.version}")`);
+    }
+    if (doc.version > PRESET_VERSION) {
+        throw new Error(`Preset was saved by a newer version (v${doc.version}, supported: v${PRESET_VERSION})`);
+    }
+    if (typeof doc.name !== 'string' || !doc.name) {
+        throw new Error('Preset has no name');
+    }
+
+    const irs = {};
+    IR_KEYS.forEach(key => {
+        const ir = doc[key];
+        irs[key] = ir ? {
+            name: ir.name,
+            data: base64ToBuffer(ir.data),
+            bundled: ir.bundled === true,
+            sampleRate: typeof ir.sampleRate === 'number' ? ir.sampleRate : null
+        } : null;
+    });
+
+    return {
+        format: PRESET_FORMAT,
+        version: PRESET_VERSION,
+        name: doc.name,
+        amp: doc.amp || 'fender',
+        knobs: doc.knobs || {},
+        switches: doc.switches || {},
+        capture: doc.capture || null,
+        chain: Array.isArray(doc.chain) ? doc.chain : null,
+        ampB: doc.ampB || 'marshall',
+        ...irs
+    };
+}
@@ -0,0 +1,178 @@
+// Record transport: REC captures the dry DI and the processed output
+// together and downloads both as WAV files named after the preset. REAMP
+// renders a DI file through the current rig (or every preset) offline.
+
+import { encodeWav, downloadBlob, getSavedWavFormat } from './wav-encoder.js';
+
+// "2026-03-14_21-07-33"
+function formatTimestamp(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+function sanitizeFileName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim();
+}
+
+function formatDuration(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+export class RecorderController {
+    constructor(audioEngine, uiController, presetManager) {
+        this.audio = audioEngine;
+        this.ui = uiController;
+        this.presets = presetManager;
+        this.timer = null;
+        this.rendering = false;
+
+        this.format = getSavedWavFormat();
+
+        this.recBtn = document.getElementById('rec-btn');
+        this.timeDisplay = document.getElementById('rec-time');
+        this.formatSelect = document.getElementById('record-format-select');
+        this.reampInput = document.getElementById('reamp-input');
+        this.reampAllInput = document.getElementById('reamp-all-input');
+        this.reampStatus = document.getElementById('reamp-status');
+    }
+
+    init() {
+        if (this.formatSelect) this.formatSelect.value = this.format;
+        this.setupEventListeners();
+        console.log("Recorder Initialized");
+    }
+
+    setupEventListeners() {
+        if (this.recBtn) {
+            this.recBtn.addEventListener('click', () => {
+                if (this.audio.isRecording()) this.audio.stopRecording();
+                else this.start();
+            });
+        }
+        if (this.formatSelect) {
+            this.formatSelect.addEventListener('change', (e) => {
+                this.format = e.target.value;
+                localStorage.setItem('recordFormat', this.format);
+            });
+        }
+        if (this.reampInput) {
+            this.reampInput.addEventListener('change', (e) => this.handleReampFile(e, false));
+        }
+        if (this.reampAllInput) {
+            this.reampAllInput.addEventListener('change', (e) => this.handleReampFile(e, true));
+        }
+    }
+
+    async start() {
+        if (!this.audio.isInitialized || this.audio.ctx.state !== 'running') {
+            alert('Power on the amp to record.');
+            return;
+        }
+
+        const startedAt = new Date();
+        // Named when recording starts, in case the preset changes mid-take
+        const baseName = this.getBaseName(startedAt);
+        const take = this.audio.startRecording();
+        this.showRecording(startedAt);
+
+        try {
+            this.save(await take, baseName);
+        } catch (e) {
+            console.error("Recording failed", e);
+            alert(`Recording failed: ${e.message}`);
+        } finally {
+            this.showRecording(null);
+        }
+    }
+
+    getBaseName(date) {
+        const preset = this.presets.getCurrent();
+        return `${sanitizeFileName(preset ? preset.name : 'AmpSignals')}_${formatTimestamp(date)}`;
+    }
+
+    save(take, baseName) {
+        if (!take || take.dry[0].length === 0) return;
+        downloadBlob(encodeWav(take.dry, take.sampleRate, this.format), `${baseName}_DI.wav`);
+        downloadBlob(encodeWav(take.wet, take.sampleRate, this.format), `${baseName}_AMP.wav`);
+    }
+
+    // --- Reamp ---
+
+    async handleReampFile(e, allPresets) {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || this.rendering) return;
+
+        this.rendering = true;
+        try {
+            const data = await file.arrayBuffer();
+            const diName = file.name.replace(/\.[^.]+$/, '');
+            if (allPresets) await this.reampPresets(data, diName);
+            else await this.reamp(data, `${this.getBaseName(new Date())}_${diName}`);
+        } catch (err) {
+            console.error("Reamp failed", err);
+            alert(`Could not reamp ${file.name}: ${err.message}`);
+        } finally {
+            this.rendering = false;
+            this.showReampStatus('');
+        }
+    }
+
+    async reamp(data, baseName) {
+        if (!this.audio.isInitialized) await this.audio.init();
+        this.showReampStatus('Rendering...');
+        // Decoding detaches the buffer, so every render gets its own copy
+        const rendered = await this.audio.renderOffline(data.slice(0));
+        const channels = [rendered.getChannelData(0), rendered.getChannelData(1)];
+        downloadBlob(encodeWav(channels, rendered.sampleRate, this.format), `${baseName}_REAMP.wav`);
+    }
+
+    // Renders the same performance through every saved preset, then puts
+    // the rig back the way it was
+    async reampPresets(data, diName) {
+        const presets = this.presets.presets;
+        if (presets.length === 0) {
+            alert('Save some presets to compare first.');
+            return;
+        }
+        if (!this.audio.isInitialized) await this.audio.init();
+
+        const rig = this.ui.captureRig();
+        const timestamp = formatTimestamp(new Date());
+        try {
+            for (let i = 0; i < presets.length; i++) {
+                const preset = presets[i];
+                this.showReampStatus(`Rendering ${i + 1}/${presets.length}: ${preset.name}`);
+                await this.ui.applyRig(preset);
+                await this.reamp(data, `${sanitizeFileName(preset.name)}_${timestamp}_${diName}`);
+            }
+        } finally {
+            await this.ui.applyRig(rig);
+        }
+    }
+
+    // --- Display ---
+
+    showReampStatus(text) {
+        if (this.reampStatus) this.reampStatus.textContent = text;
+    }
+
+    showRecording(startedAt) {
+        clearInterval(this.timer);
+        if (this.recBtn) this.recBtn.classList.toggle('recording', !!startedAt);
+        if (!this.timeDisplay) return;
+
+        if (startedAt) {
+            const update = () => {
+                this.timeDisplay.textContent = formatDuration((Date.now() - startedAt.getTime()) / 1000);
+            };
+            update();
+            this.timer = setInterval(update, 500);
+        } else {
+            this.timer = null;
+            this.timeDisplay.textContent = '';
+        }
+    }
+}
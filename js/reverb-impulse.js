@@ -0,0 +1,86 @@
+// Synthetic reverb impulses (like the internal cabs): decaying noise shaped
+// per reverb type, played through the reverb's ConvolverNode.
+
+// reflections  early reflections (ms), alternating polarity
+// swell        seconds the tail takes to build up
+// brightness   one-pole lowpass coefficient at the start / end of the tail
+//              (highs die away faster than lows)
+// drip         spring round trip (s): repeated dispersive chirps
+const SHAPES = {
+    spring: { reflections: [], swell: 0, brightness: [0.35, 0.2], drip: 0.032 },
+    plate: { reflections: [], swell: 0, brightness: [0.95, 0.45] },
+    hall: { reflections: [19, 29, 43, 61, 83], swell: 0.04, brightness: [0.5, 0.1] },
+    room: { reflections: [5, 9, 13, 19, 26, 34], swell: 0.005, brightness: [0.6, 0.2] }
+};
+
+// Longest impulse generated (s)
+const MAX_LENGTH = 12;
+
+// Level falling 60dB over `decay` seconds
+function decayEnvelope(t, decay) {
+    return Math.exp((-6.9 * t) / decay);
+}
+
+// Stereo impulse for an algorithmic type ('spring', 'plate', 'hall', 'room')
+export function makeReverbImpulse(ctx, type, decay) {
+    const shape = SHAPES[type];
+    const rate = ctx.sampleRate;
+    const length = Math.ceil(Math.min(decay * 1.2, MAX_LENGTH) * rate);
+    const impulse = ctx.createBuffer(2, length, rate);
+
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        const [start, end] = shape.brightness;
+        let filtered = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / rate;
+            const swell = shape.swell > 0 ? Math.min(t / shape.swell, 1) : 1;
+            filtered += (start + (end - start) * (i / length)) * ((Math.random() * 2 - 1) - filtered);
+            data[i] = filtered * decayEnvelope(t, decay) * swell;
+        }
+
+        // The sides hear the reflections at slightly different times
+        shape.reflections.forEach((ms, n) => {
+            const index = Math.round(ms * (c === 0 ? 1 : 1.13) * rate / 1000);
+            if (index < length) data[index] += (n % 2 ? -0.5 : 0.5) * decayEnvelope(index / rate, decay);
+        });
+
+        if (shape.drip) addSpringChirps(data, rate, decay, shape.drip * (c === 0 ? 1 : 1.07));
+    }
+    return impulse;
+}
+
+// Each trip along the spring returns as a falling chirp that smears a
+// little more every time
+function addSpringChirps(data, rate, decay, period) {
+    for (let echo = 0; echo * period * rate < data.length; echo++) {
+        const offset = Math.round(echo * period * rate);
+        const chirpLength = Math.round(Math.min(0.015 * (1 + echo * 0.2), 0.06) * rate);
+        const gain = 0.4 * decayEnvelope(echo * period, decay);
+        // 3kHz falling to 300Hz
+        const fall = Math.pow(0.1, 1 / chirpLength);
+        let step = (2 * Math.PI * 3000) / rate;
+        let phase = 0;
+        for (let j = 0; j < chirpLength && offset + j < data.length; j++) {
+            phase += step;
+            step *= fall;
+            data[offset + j] += gain * Math.sin(phase) * Math.sin((Math.PI * j) / chirpLength);
+        }
+    }
+}
+
+// A loaded room IR cut to `decay` seconds, fading out over its last third
+export function trimImpulse(ctx, buffer, decay) {
+    const length = Math.min(buffer.length, Math.ceil(decay * buffer.sampleRate));
+    const impulse = ctx.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+    const fadeStart = Math.floor(length * (2 / 3));
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = impulse.getChannelData(c);
+        data.set(buffer.getChannelData(c).subarray(0, length));
+        if (length < buffer.length) {
+            for (let i = fadeStart; i < length; i++) data[i] *= (length - i) / (length - fadeStart);
+        }
+    }
+    return impulse;
+}
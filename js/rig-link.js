@@ -0,0 +1,97 @@
+// Shareable rig links: the rig (see UIController.captureRig) packed into the
+// URL fragment, e.g.
+//   #rig=1;amp=vox;k=gate:-60,preGain:6.5,master:5;sw=gate:1,bright:0;ch=compressor,amp,cab;cap=VOX%20AC30%20%2B%20cab.nam;ampb=marshall
+// Bundled captures and IRs travel by file name. Uploaded files don't fit in
+// a URL, so only their name is kept and the receiver is told they're missing.
+
+const LINK_VERSION = 1;
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+// "a:1,b:2" -> { a: 1, b: 2 }
+function readPairs(text) {
+    const pairs = {};
+    (text || '').split(',').filter(Boolean).forEach(pair => {
+        const [name, value] = pair.split(':');
+        const number = parseFloat(value);
+        if (name && !Number.isNaN(number)) pairs[name] = number;
+    });
+    return pairs;
+}
+
+// Rig IR slots and their link fields; uploads get an 'x' suffix (e.g. irbx=)
+const IR_FIELDS = { ir: 'ir', ir2: 'ir2', irB: 'irb', ir2B: 'ir2b' };
+
+export function encodeRigLink(rig) {
+    const fields = [`rig=${LINK_VERSION}`, `amp=${rig.amp}`];
+
+    const knobs = Object.entries(rig.knobs).map(([param, value]) => `${param}:${formatNumber(value)}`);
+    fields.push(`k=${knobs.join(',')}`);
+
+    const switches = Object.entries(rig.switches).map(([name, on]) => `${name}:${on ? 1 : 0}`);
+    fields.push(`sw=${switches.join(',')}`);
+
+    if (rig.chain) fields.push(`ch=${rig.chain.join(',')}`);
+
+    const capture = rig.capture;
+    if (capture && capture.type === 'set') fields.push(`set=${encodeURIComponent(capture.id)}`);
+    else if (capture && capture.type === 'upload') fields.push(`capx=${encodeURIComponent(capture.name)}`);
+    else if (capture) fields.push(`cap=${encodeURIComponent(capture.file)}`);
+
+    // Amp B (dual-amp mode)
+    if (rig.ampB) fields.push(`ampb=${rig.ampB}`);
+
+    Object.entries(IR_FIELDS).forEach(([key, field]) => {
+        const ir = rig[key];
+        if (ir && ir.bundled) fields.push(`${field}=${encodeURIComponent(ir.name)}`);
+        else if (ir) fields.push(`${field}x=${encodeURIComponent(ir.name)}`);
+    });
+
+    return `#${fields.join(';')}`;
+}
+
+// Returns null when the fragment isn't a rig link. Files that couldn't be
+// shared come back as { type: 'missing' } captures and { missing: true } IRs.
+export function decodeRigLink(hash) {
+    const fields = {};
+    hash.replace(/^#/, '').split(';').forEach(field => {
+        const split = field.indexOf('=');
+        if (split > 0) fields[field.slice(0, split)] = field.slice(split + 1);
+    });
+
+    const version = parseInt(fields.rig);
+    if (!version) return null;
+    if (version > LINK_VERSION) {
+        throw new Error(`Rig link was made by a newer version (v${version})`);
+    }
+
+    const knobs = readPairs(fields.k);
+    const switches = {};
+    Object.entries(readPairs(fields.sw)).forEach(([name, on]) => {
+        switches[name] = on === 1;
+    });
+
+    let capture = null;
+    if (fields.set) capture = { type: 'set', id: decodeURIComponent(fields.set) };
+    else if (fields.cap) capture = { type: 'bundled', file: decodeURIComponent(fields.cap) };
+    else if (fields.capx) capture = { type: 'missing', name: decodeURIComponent(fields.capx) };
+
+    const irs = {};
+    Object.entries(IR_FIELDS).forEach(([key, field]) => {
+        irs[key] = null;
+        if (fields[field]) irs[key] = { name: decodeURIComponent(fields[field]), bundled: true };
+        else if (fields[`${field}x`]) irs[key] = { name: decodeURIComponent(fields[`${field}x`]), missing: true };
+    });
+
+    return {
+        amp: fields.amp || 'fender',
+        knobs,
+        switches,
+        chain: fields.ch ? fields.ch.split(',') : null,
+        capture,
+        ampB: fields.ampb || 'marshall',
+        ...irs
+    };
+}
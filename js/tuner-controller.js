@@ -0,0 +1,132 @@
+// Chromatic tuner: reads the dry input tap, shows note, octave and cents in
+// an overlay on the amp head and can mute the output while it's open.
+
+import { TUNER_WINDOW } from './audio-engine.js';
+import { detectPitch, frequencyToNote } from './pitch-detection.js';
+
+// Time between readings (ms)
+const UPDATE_INTERVAL = 80;
+
+// Recent readings the display takes the median of, to ride out pick attacks
+const MEDIAN_SIZE = 5;
+
+// Within this many cents the note shows as in tune
+const IN_TUNE_CENTS = 3;
+
+export const MIN_REFERENCE = 432;
+export const MAX_REFERENCE = 446;
+
+export class TunerController {
+    constructor(audioEngine) {
+        this.audio = audioEngine;
+        this.active = false;
+        this.timer = null;
+        this.samples = new Float32Array(TUNER_WINDOW);
+        this.readings = [];
+
+        const savedReference = parseFloat(localStorage.getItem('tunerReference'));
+        this.reference = savedReference >= MIN_REFERENCE && savedReference <= MAX_REFERENCE ? savedReference : 440;
+        this.mute = localStorage.getItem('tunerMute') !== 'false';
+
+        this.toggleBtn = document.getElementById('tuner-btn');
+        this.overlay = document.getElementById('tuner-overlay');
+        this.noteDisplay = document.getElementById('tuner-note');
+        this.octaveDisplay = document.getElementById('tuner-octave');
+        this.centsDisplay = document.getElementById('tuner-cents');
+        this.needle = document.getElementById('tuner-needle');
+        this.referenceSelect = document.getElementById('tuner-reference');
+        this.muteToggle = document.getElementById('tuner-mute');
+    }
+
+    init() {
+        if (this.referenceSelect) {
+            for (let hz = MIN_REFERENCE; hz <= MAX_REFERENCE; hz++) {
+                const option = document.createElement('option');
+                option.value = hz;
+                option.textContent = `A=${hz}`;
+                this.referenceSelect.appendChild(option);
+            }
+            this.referenceSelect.value = this.reference;
+        }
+        if (this.muteToggle) this.muteToggle.checked = this.mute;
+
+        this.setupEventListeners();
+        console.log("Tuner Initialized");
+    }
+
+    setupEventListeners() {
+        if (this.toggleBtn) {
+            this.toggleBtn.addEventListener('click', () => this.setActive(!this.active));
+        }
+        if (this.referenceSelect) {
+            this.referenceSelect.addEventListener('change', (e) => this.setReference(parseFloat(e.target.value)));
+        }
+        if (this.muteToggle) {
+            this.muteToggle.addEventListener('change', (e) => this.setMute(e.target.checked));
+        }
+    }
+
+    setActive(active) {
+        this.active = active;
+        this.readings = [];
+        clearInterval(this.timer);
+        this.timer = active ? setInterval(() => this.update(), UPDATE_INTERVAL) : null;
+
+        this.audio.setOutputMuted(active && this.mute);
+        if (this.toggleBtn) this.toggleBtn.classList.toggle('active', active);
+        if (this.overlay) this.overlay.classList.toggle('visible', active);
+        this.showReading(null);
+    }
+
+    setReference(hz) {
+        this.reference = Math.min(Math.max(hz, MIN_REFERENCE), MAX_REFERENCE);
+        localStorage.setItem('tunerReference', this.reference);
+    }
+
+    setMute(mute) {
+        this.mute = mute;
+        localStorage.setItem('tunerMute', mute);
+        if (this.active) this.audio.setOutputMuted(mute);
+    }
+
+    update() {
+        if (!this.audio.getTunerData(this.samples)) {
+            this.showReading(null, 'POWER ON');
+            return;
+        }
+
+        const pitch = detectPitch(this.samples, this.audio.ctx.sampleRate);
+        if (!pitch) {
+            // Keep the last note up briefly as the string decays
+            this.readings.shift();
+            if (this.readings.length === 0) this.showReading(null);
+            return;
+        }
+
+        this.readings.push(pitch.frequency);
+        if (this.readings.length > MEDIAN_SIZE) this.readings.shift();
+        const sorted = [...this.readings].sort((a, b) => a - b);
+        this.showReading(sorted[Math.floor(sorted.length / 2)]);
+    }
+
+    showReading(frequency, message = '--') {
+        if (!this.noteDisplay) return;
+
+        if (!frequency) {
+            this.noteDisplay.textContent = message;
+            this.octaveDisplay.textContent = '';
+            this.centsDisplay.textContent = '';
+            this.needle.style.left = '50%';
+            this.overlay.classList.remove('in-tune');
+            return;
+        }
+
+        const note = frequencyToNote(frequency, this.reference);
+        const cents = Math.round(note.cents);
+        this.noteDisplay.textContent = note.name;
+        this.octaveDisplay.textContent = note.octave;
+        this.centsDisplay.textContent = `${cents > 0 ? '+' : ''}${cents}¢ · ${frequency.toFixed(1)} Hz`;
+        this.needle.style.left = `${50 + note.cents}%`;
+        this.overlay.classList.toggle('in-tune', Math.abs(note.cents) <= IN_TUNE_CENTS);
+    }
+}
@@ -1,3 +1,19 @@
+import { BUNDLED_CAPTURES, BUNDLED_IRS, CAPTURE_SETS } from './captures.js';
+import { encodeRigLink, decodeRigLink } from './rig-link.js';
+import { DEFAULT_CHAIN } from './audio-engine.js';
+import { REVERB_TYPES, AMP_SELECTIONS, normalizeParam, denormalizeParam, formatParam } from './params.js';
+
+// 44100 -> "44.1 kHz"
+function formatRate(rate) {
+    return `${rate / 1000} kHz`;
+}
+
+const DEFAULT_CAB_NAMES = {
+    'fender': 'Default Cab: 1x12 Open Back',
+    'vox': 'Default Cab: 2x12 Blue',
+    'marshall': 'Default Cab: 4x12 V30'
+};
+
 export class UIController {
     constructor(audioEngine) {
         this.audio = audioEngine;
@@ -12,8 +28,17 @@ export class UIController {
         this.closeSettingsBtn = document.getElementById('close-settings-btn');
 
         // Settings Controls
+        this.audioInputSelect = document.getElementById('audio-input-select');
+        this.inputChannelSelect = document.getElementById('input-channel-select');
+        this.inputStatus = document.getElementById('audio-input-status');
         this.audioOutputSelect = document.getElementById('audio-output-select');
+        this.outputStatus = document.getElementById('audio-output-status');
         this.bufferSizeSelect = document.getElementById('buffer-size-select');
+        this.sampleRateSelect = document.getElementById('sample-rate-select');
+        this.oversamplingSelect = document.getElementById('oversampling-select');
+        this.latencyStatus = document.getElementById('latency-status');
+        this.captureMasterToggle = document.getElementById('capture-master-toggle');
+        this.ampReverbToggle = document.getElementById('amp-reverb-toggle');
 
         // Custom Dropdown
         this.customSelect = document.querySelector('.custom-select');
@@ -21,15 +46,45 @@ export class UIController {
         this.customOptions = document.querySelectorAll('.custom-option');
         this.selectedAmpName = document.getElementById('selected-amp-name');
 
+        // Neural Captures
+        this.captureSelect = document.getElementById('capture-select');
+        this.namUpload = document.getElementById('nam-upload');
+        this.modelNameDisplay = document.querySelector('.logo-plate .model-name');
+
         // Controls
         this.knobs = document.querySelectorAll('.knob');
         this.switches = document.querySelectorAll('.switch-wrapper input[type="checkbox"]');
 
-        // IR Loader
-        this.irUpload = document.getElementById('ir-upload');
-        this.cabNameDisplay = document.getElementById('cab-name');
+        // IR Loaders: name display, bundled IR select and file input of
+        // each amp's cab slots (ids cab-name, cab-name-2, cab-name-b, cab-name-2b...)
+        const irControls = (suffix) => ({
+            display: document.getElementById(`cab-name${suffix}`),
+            select: document.getElementById(`ir-select${suffix}`),
+            upload: document.getElementById(`ir-upload${suffix}`)
+        });
+        this.irControls = {
+            A: { 1: irControls(''), 2: irControls('-2') },
+            B: { 1: irControls('-b'), 2: irControls('-2b') }
+        };
+        this.shareRigBtn = document.getElementById('share-rig-btn');
+        this.cabNameDisplay = this.irControls.A[1].display;
+        this.captureInfoDisplay = document.getElementById('capture-info');
+
+        // Amp B (dual-amp mode) and the A/B/A+B footswitch
+        this.ampModelSelectB = document.getElementById('amp-b-model');
+        this.ampSelectBtn = document.getElementById('amp-select-btn');
+
+        // Global tempo (looper lengths, synced delay)
+        this.tempoInput = document.getElementById('tempo-input');
+        this.tapBtn = document.getElementById('tap-btn');
+        this.taps = [];
+
+        // Reverb room IR
+        this.reverbIRUpload = document.getElementById('reverb-ir-upload');
+        this.reverbIRName = document.getElementById('reverb-ir-name');
 
         this.vuOut = document.getElementById('vu-out');
+        this.gateLed = document.getElementById('gate-led');
 
         this.isDragging = false;
         this.currentKnob = null;
@@ -40,8 +95,15 @@ export class UIController {
     }
 
     init() {
+        this.populateCaptures();
+        this.populateIRs();
         this.setupEventListeners();
         this.setupKnobInteractions();
+        // The stock amp starts out with its own reverb, as if just picked
+        if (this.audio.ampReverbDefaults) {
+            this.audio.applyAmpReverb(this.audio.getAmpModel());
+            this.syncControls();
+        }
         this.startVisualizer();
         console.log("UI Controller Initialized");
     }
@@ -59,6 +121,7 @@ export class UIController {
                 try {
                     await this.audio.init();
                     console.log("Audio Engine Initialized");
+                    if (this.audio.outputNotice) alert(this.audio.outputNotice);
 
                     // Start input asynchronously so it doesn't block UI if permission prompt hangs
                     this.audio.startInput().then(() => {
@@ -87,7 +150,8 @@ export class UIController {
             this.settingsBtn.addEventListener('click', async () => {
                 this.settingsModal.classList.add('active');
 
-                // Populate audio output devices
+                // Populate audio input and output devices
+                await this.populateInputDevices();
                 await this.populateAudioDevices();
 
                 // Set current buffer size selection
@@ -95,6 +159,9 @@ export class UIController {
                     const currentBufferSize = this.audio.bufferSize || 128;
                     this.bufferSizeSelect.value = currentBufferSize.toString();
                 }
+                if (this.sampleRateSelect) this.sampleRateSelect.value = this.audio.sampleRate;
+                if (this.oversamplingSelect) this.oversamplingSelect.value = this.audio.oversample;
+                this.showLatency();
             });
         }
         if (this.closeSettingsBtn) {
@@ -103,21 +170,71 @@ export class UIController {
             });
         }
 
+        // Audio Input Device / Channel Change
+        if (this.audioInputSelect) {
+            this.audioInputSelect.addEventListener('change', async (e) => {
+                await this.audio.setInputDevice(e.target.value);
+                this.showInputDevice();
+            });
+        }
+        if (this.inputChannelSelect) {
+            this.inputChannelSelect.addEventListener('change', (e) => {
+                this.audio.setInputChannel(e.target.value);
+            });
+        }
+
         // Audio Output Device Change
         if (this.audioOutputSelect) {
-            this.audioOutputSelect.addEventListener('change', (e) => {
-                this.audio.setOutputDevice(e.target.value);
+            this.audioOutputSelect.addEventListener('change', async (e) => {
+                await this.audio.setOutputDevice(e.target.value);
+                this.showOutputDevice();
             });
         }
+        this.audio.onOutputDeviceChange = () => {
+            this.showOutputDevice();
+            if (this.audio.outputNotice) alert(this.audio.outputNotice);
+        };
 
         // Buffer Size Change
         if (this.bufferSizeSelect) {
-            this.bufferSizeSelect.addEventListener('change', (e) => {
+            this.bufferSizeSelect.addEventListener('change', async (e) => {
                 const newSize = parseInt(e.target.value);
-                this.audio.setBufferSize(newSize);
+                this.bufferSizeSelect.disabled = true;
+                if (this.latencyStatus) this.latencyStatus.textContent = 'Restarting audio...';
+                try {
+                    await this.audio.setBufferSize(newSize);
+                } catch (err) {
+                    console.error("Audio restart failed:", err);
+                    alert("Audio restart failed: " + err.message);
+                }
+                this.bufferSizeSelect.disabled = false;
+                this.showLatency();
+            });
+        }
 
-                // Show notification that restart is needed
-                alert('Buffer size updated. Please refresh the page for changes to take effect.');
+        // Input Quality (sample rate) Change
+        if (this.sampleRateSelect) {
+            this.sampleRateSelect.addEventListener('change', async (e) => {
+                this.sampleRateSelect.disabled = true;
+                if (this.latencyStatus) this.latencyStatus.textContent = 'Restarting audio...';
+                try {
+                    await this.audio.setSampleRate(parseInt(e.target.value));
+                } catch (err) {
+                    console.error("Audio restart failed:", err);
+                    alert("Audio restart failed: " + err.message);
+                }
+                this.sampleRateSelect.disabled = false;
+                this.showLatency();
+                // Assets recorded at the old rate may now disagree
+                this.showIRName();
+                this.refreshCaptureInfo();
+            });
+        }
+
+        // Oversampling Change
+        if (this.oversamplingSelect) {
+            this.oversamplingSelect.addEventListener('change', (e) => {
+                this.audio.setOversampling(e.target.value);
             });
         }
 
@@ -155,71 +272,535 @@ export class UIController {
         this.customOptions.forEach(option => {
             option.addEventListener('click', () => {
                 if (!option.classList.contains('selected')) {
-                    // Update visual Selection
-                    this.customOptions.forEach(op => op.classList.remove('selected'));
-                    option.classList.add('selected');
-
-                    // Update Trigger Text
-                    const modelName = option.textContent.trim();
-                    this.selectedAmpName.textContent = modelName;
-
-                    // Get Value
-                    const model = option.dataset.value;
-
-                    // Update Audio
-                    this.audio.setAmpModel(model);
-
-                    // Update UI Theme (Skin)
-                    this.updateTheme(model);
-
-                    // Update Cab Display text if default
-                    if (this.cabNameDisplay.textContent.startsWith("Default Cab")) {
-                        const cabNames = {
-                            'fender': 'Default Cab: 1x12 Open Back',
-                            'vox': 'Default Cab: 2x12 Blue',
-                            'marshall': 'Default Cab: 4x12 V30'
-                        };
-                        this.cabNameDisplay.textContent = cabNames[model];
-                    }
+                    this.pickAmpModel(option.dataset.value);
                 }
                 this.customSelect.classList.remove('open');
             });
         });
 
+        // --- Neural Captures ---
+        if (this.captureSelect) {
+            this.captureSelect.addEventListener('change', async (e) => {
+                await this.selectCapture(e.target.value);
+                this.offerCaptureRate();
+            });
+        }
+
+        if (this.namUpload) {
+            this.namUpload.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+
+                const reader = new FileReader();
+                reader.onload = async (event) => {
+                    await this.loadNamText(event.target.result, file.name);
+                    this.offerCaptureRate();
+                };
+                reader.readAsText(file);
+            });
+        }
+
+        if (this.ampReverbToggle) {
+            this.ampReverbToggle.checked = this.audio.ampReverbDefaults;
+            this.ampReverbToggle.addEventListener('change', (e) => {
+                this.audio.setAmpReverbDefaults(e.target.checked);
+            });
+        }
+
+        if (this.captureMasterToggle) {
+            this.captureMasterToggle.checked = this.audio.captureMasterBinding;
+            this.captureMasterToggle.addEventListener('change', (e) => {
+                this.audio.setCaptureMasterBinding(e.target.checked);
+            });
+        }
+
         // --- Switches ---
         this.switches.forEach(sw => {
             sw.addEventListener('change', (e) => {
                 const param = e.target.id.replace('sw-', '');
                 const isActive = e.target.checked;
 
-                if (param === 'gate') {
-                    if (!isActive) this.audio.setGateThreshold(0);
-                    else {
-                        const knob = document.getElementById('knob-gate-thresh');
-                        this.audio.setGateThreshold(parseFloat(knob.dataset.value));
-                    }
-                } else {
-                    this.audio.toggleSwitch(param, isActive);
-                }
+                // The gate switch bypasses the gate, its settings are kept
+                this.audio.toggleSwitch(param, isActive);
             });
         });
 
         // --- IR Upload ---
-        if (this.irUpload) {
-            this.irUpload.addEventListener('change', (e) => {
+        Object.entries(this.irControls).forEach(([amp, slots]) => {
+            Object.entries(slots).forEach(([slot, { select, upload }]) => {
+                if (upload) {
+                    upload.addEventListener('change', async (e) => {
+                        const file = e.target.files[0];
+                        e.target.value = '';
+                        if (file) await this.loadIRFile(await file.arrayBuffer(), file.name, false, amp, Number(slot));
+                    });
+                }
+                if (select) {
+                    select.addEventListener('change', (e) => this.selectIR(e.target.value, amp, Number(slot)));
+                }
+            });
+        });
+
+        // --- Amp B ---
+        if (this.ampModelSelectB) {
+            this.ampModelSelectB.addEventListener('change', (e) => this.selectAmpModel(e.target.value, 'B'));
+        }
+        if (this.ampSelectBtn) {
+            // Steps A -> B -> A+B
+            this.ampSelectBtn.addEventListener('click', () => {
+                this.audio.setParam('ampSelect', (this.audio.getParam('ampSelect') + 1) % AMP_SELECTIONS.length);
+                this.showAmpSelect();
+            });
+            this.showAmpSelect();
+        }
+
+        // --- Rig Links ---
+        if (this.shareRigBtn) {
+            this.shareRigBtn.addEventListener('click', () => this.shareRig());
+        }
+
+        // --- Tempo ---
+        if (this.tempoInput) {
+            this.tempoInput.value = this.audio.tempo;
+            this.tempoInput.addEventListener('change', (e) => {
+                const bpm = parseFloat(e.target.value);
+                if (!Number.isNaN(bpm)) this.audio.setTempo(bpm);
+                e.target.value = this.audio.tempo;
+            });
+        }
+        if (this.tapBtn) {
+            this.tapBtn.addEventListener('click', () => this.tapTempo());
+        }
+
+        // --- Reverb IR ---
+        if (this.reverbIRUpload) {
+            this.reverbIRUpload.addEventListener('change', async (e) => {
                 const file = e.target.files[0];
-                if (!file) return;
+                e.target.value = '';
+                if (file) await this.loadReverbIRFile(await file.arrayBuffer(), file.name);
+            });
+        }
+    }
 
-                const reader = new FileReader();
-                reader.onload = async (event) => {
-                    const arrayBuffer = event.target.result;
-                    const success = await this.audio.loadIR(arrayBuffer);
-                    if (success) {
-                        this.cabNameDisplay.textContent = `Custom IR: ${file.name}`;
-                    }
-                };
-                reader.readAsArrayBuffer(file);
+    // Tempo from the average of the last few taps; a pause starts over
+    tapTempo() {
+        const now = performance.now();
+        const last = this.taps[this.taps.length - 1];
+        if (last && now - last > 2000) this.taps = [];
+        this.taps.push(now);
+        if (this.taps.length > 5) this.taps.shift();
+        if (this.taps.length < 2) return;
+
+        const interval = (now - this.taps[0]) / (this.taps.length - 1);
+        this.audio.setTempo(Math.round(60000 / interval));
+        if (this.tempoInput) this.tempoInput.value = this.audio.tempo;
+    }
+
+    // A model picked on the panel brings its own reverb (see applyAmpReverb);
+    // recalled rigs keep the reverb they were saved with
+    pickAmpModel(model) {
+        this.selectAmpModel(model);
+        if (this.audio.ampReverbDefaults) {
+            this.audio.applyAmpReverb(model);
+            this.syncControls();
+        }
+    }
+
+    selectAmpModel(model, amp = 'A') {
+        if (amp === 'B') {
+            if (this.ampModelSelectB) this.ampModelSelectB.value = model;
+            this.audio.setAmpModel(model, amp);
+            this.showIRName(amp);
+            return;
+        }
+
+        const option = [...this.customOptions].find(op => op.dataset.value === model);
+        if (!option) return;
+
+        // Update visual Selection
+        this.customOptions.forEach(op => op.classList.remove('selected'));
+        option.classList.add('selected');
+
+        // Update Trigger Text
+        this.selectedAmpName.textContent = option.textContent.trim();
+
+        // Update Audio
+        this.audio.setAmpModel(model);
+        this.syncControls();
+
+        // Update UI Theme (Skin)
+        this.updateTheme(model);
+
+        // The amp model brings its own cab
+        this.showIRName();
+    }
+
+    // `value` is a capture-select value: a bundled file, `set:<id>` or ''
+    async selectCapture(value) {
+        if (!this.audio.isInitialized) await this.audio.init();
+        if (this.captureSelect) this.captureSelect.value = value;
+
+        if (!value) {
+            this.audio.clearCapture();
+            this.showCaptureInfo(null);
+            return;
+        }
+
+        try {
+            if (value.startsWith('set:')) {
+                const set = await this.audio.loadCaptureSet(value.slice(4));
+                this.showCaptureSetInfo(set);
+                return;
+            }
+            const info = await this.audio.loadCapture(value);
+            const capture = BUNDLED_CAPTURES.find(c => c.file === value);
+            this.showCaptureInfo(info, capture ? `${capture.group} ${capture.label}` : value);
+        } catch (err) {
+            this.showCaptureError(err);
+        }
+    }
+
+    async loadNamText(text, fileName) {
+        if (!this.audio.isInitialized) await this.audio.init();
+        try {
+            const info = await this.audio.loadNamModel(text, fileName);
+            if (this.captureSelect) this.captureSelect.value = '';
+            this.showCaptureInfo(info, fileName.replace(/\.nam$/i, ''));
+        } catch (err) {
+            this.showCaptureError(err);
+        }
+    }
+
+    async loadIRFile(arrayBuffer, fileName, bundled = false, amp = 'A', slot = 1) {
+        if (!this.audio.isInitialized) await this.audio.init();
+        const success = await this.audio.loadIR(arrayBuffer, fileName, bundled, amp, slot);
+        if (success) this.showIRName(amp, slot);
+        return success;
+    }
+
+    // Loads a room IR and switches the reverb to play it
+    async loadReverbIRFile(arrayBuffer, fileName) {
+        if (!this.audio.isInitialized) await this.audio.init();
+        if (!await this.audio.loadReverbIR(arrayBuffer, fileName)) {
+            alert(`Could not load ${fileName} as a reverb IR.`);
+            return;
+        }
+        const typeKnob = [...this.knobs].find(knob => knob.dataset.param === 'reverbType');
+        if (typeKnob) this.setKnobValue(typeKnob, REVERB_TYPES.findIndex(type => type.id === 'convolution'));
+        if (this.reverbIRName) this.reverbIRName.textContent = fileName;
+    }
+
+    // `file` is a bundled IR, or '' for the amp's default cab (slot 1) or
+    // none (slot 2)
+    async selectIR(file, amp = 'A', slot = 1) {
+        if (!this.audio.isInitialized) await this.audio.init();
+
+        if (!file && slot === 2) {
+            this.audio.clearIR(amp, slot);
+            this.showIRName(amp, slot);
+            return true;
+        }
+        if (!file) {
+            this.audio.setInternalCab(this.audio.getAmpModel(amp), amp);
+            this.showIRName(amp);
+            return true;
+        }
+        const success = await this.audio.loadBundledIR(file, amp, slot);
+        this.showIRName(amp, slot);
+        return success;
+    }
+
+    showIRName(amp = 'A', slot = 1) {
+        const ir = this.audio.getIR(amp, slot);
+        const { display, select } = this.irControls[amp][slot];
+        if (!display) return;
+        display.classList.remove('missing');
+        if (select) select.value = ir && ir.bundled ? ir.name : '';
+
+        if (!ir && slot === 2) {
+            display.textContent = 'IR 2: none';
+        } else if (!ir) {
+            display.textContent = DEFAULT_CAB_NAMES[this.audio.getAmpModel(amp)];
+        } else if (ir.bundled) {
+            const bundled = BUNDLED_IRS.find(i => i.file === ir.name);
+            display.textContent = `Cab IR: ${bundled ? bundled.label : ir.name}`;
+        } else {
+            display.textContent = `Custom IR: ${ir.name}`;
+        }
+
+        const rate = this.audio.ctx && this.audio.ctx.sampleRate;
+        if (ir && ir.sampleRate && rate && ir.sampleRate !== rate) {
+            display.textContent += ` (resampled from ${formatRate(ir.sampleRate)})`;
+        }
+    }
+
+    // --- Rig State ---
+    // Everything a preset stores. Restoring goes through the same paths as
+    // the panel controls, so the engine ends up exactly as if dialled in.
+
+    captureRig() {
+        const knobs = {};
+        this.knobs.forEach(knob => {
+            knobs[knob.dataset.param] = parseFloat(knob.dataset.value);
+        });
+        // Values set off the panel (the EQ curve's bands) come from the engine
+        Object.entries(this.audio.getState().params).forEach(([param, value]) => {
+            if (!(param in knobs)) knobs[param] = value;
+        });
+
+        const switches = {};
+        this.switches.forEach(sw => {
+            switches[sw.id.replace('sw-', '')] = sw.checked;
+        });
+
+        const selected = document.querySelector('.custom-option.selected');
+        const current = this.audio.currentCapture;
+        let capture = null;
+        if (current && current.set) {
+            capture = { type: 'set', id: current.set.id };
+        } else if (current && current.source) {
+            capture = { type: 'upload', name: current.name, source: current.source };
+        } else if (current) {
+            capture = { type: 'bundled', file: current.name };
+        }
+
+        return {
+            amp: selected ? selected.dataset.value : 'fender',
+            knobs,
+            switches,
+            capture,
+            chain: this.audio.getChain(),
+            ir: this.copyIR('A', 1),
+            ir2: this.copyIR('A', 2),
+            ampB: this.audio.currentAmpB,
+            irB: this.copyIR('B', 1),
+            ir2B: this.copyIR('B', 2)
+        };
+    }
+
+    copyIR(amp, slot) {
+        const ir = this.audio.getIR(amp, slot);
+        return ir ? { ...ir } : null;
+    }
+
+    async applyRig(rig) {
+        if (!this.audio.isInitialized) await this.audio.init();
+
+        // The amp model resets the cab, so it goes first
+        this.selectAmpModel(rig.amp);
+        this.selectAmpModel(rig.ampB || 'marshall', 'B');
+
+        // Rigs from before the pedalboard get the default order
+        this.audio.setChain(rig.chain || DEFAULT_CHAIN);
+
+        Object.entries(rig.switches).forEach(([name, isActive]) => this.setSwitch(name, isActive));
+
+        this.knobs.forEach(knob => {
+            const value = rig.knobs[knob.dataset.param];
+            if (typeof value === 'number') this.setKnobValue(knob, value);
+        });
+        const panelParams = new Set([...this.knobs].map(knob => knob.dataset.param));
+        Object.entries(rig.knobs).forEach(([param, value]) => {
+            if (!panelParams.has(param)) this.audio.setParam(param, value);
+        });
+        this.showAmpSelect();
+
+        const capture = rig.capture;
+        if (!capture) {
+            await this.selectCapture('');
+        } else if (capture.type === 'set') {
+            await this.selectCapture(`set:${capture.id}`);
+        } else if (capture.type === 'upload') {
+            await this.loadNamText(capture.source, capture.name);
+        } else if (capture.type === 'missing') {
+            // Uploaded capture referenced by a rig link
+            await this.selectCapture('');
+            this.captureInfoDisplay.textContent = `Capture missing: ${capture.name} (load it with LOAD NAM)`;
+            this.captureInfoDisplay.classList.add('error');
+        } else {
+            await this.selectCapture(capture.file);
+        }
+
+        await this.applyRigIR(rig.ir, 'A', 1);
+        await this.applyRigIR(rig.ir2, 'A', 2);
+        await this.applyRigIR(rig.irB, 'B', 1);
+        await this.applyRigIR(rig.ir2B, 'B', 2);
+    }
+
+    async applyRigIR(ir, amp, slot) {
+        const { display } = this.irControls[amp][slot];
+        if (ir && ir.data) {
+            // Copied, the engine's decoder takes ownership of what it is given
+            await this.loadIRFile(ir.data.slice(0), ir.name, ir.bundled, amp, slot);
+            return;
+        }
+        if (ir && ir.bundled) {
+            await this.selectIR(ir.name, amp, slot);
+            return;
+        }
+        // Slot 1 already has the amp's default cab (see selectAmpModel)
+        if (slot === 2) this.audio.clearIR(amp, slot);
+        this.showIRName(amp, slot);
+        if (ir && ir.missing && display) {
+            display.textContent = `IR missing: ${ir.name} (${display.textContent})`;
+            display.classList.add('missing');
+        }
+    }
+
+    // Footswitch label: which amps are playing
+    showAmpSelect() {
+        if (!this.ampSelectBtn) return;
+        this.ampSelectBtn.textContent = `AMP ${AMP_SELECTIONS[this.audio.getParam('ampSelect')].label}`;
+    }
+
+    // Copies a link to the current rig and shows it in the address bar
+    async shareRig() {
+        const hash = encodeRigLink(this.captureRig());
+        history.replaceState(null, '', hash);
+        try {
+            await navigator.clipboard.writeText(location.href);
+            alert('Rig link copied to clipboard.');
+        } catch (e) {
+            console.error("Clipboard unavailable", e);
+            prompt('Copy this rig link:', location.href);
+        }
+    }
+
+    async applyRigLink(hash) {
+        try {
+            const rig = decodeRigLink(hash);
+            if (rig) await this.applyRig(rig);
+        } catch (e) {
+            console.error("Failed to apply rig link", e);
+            alert(`Could not open rig link: ${e.message}`);
+        }
+    }
+
+    populateCaptures() {
+        if (!this.captureSelect) return;
+
+        // Sets come first: they play across the GAIN knob
+        if (CAPTURE_SETS.length > 0) {
+            const setGroup = document.createElement('optgroup');
+            setGroup.label = 'Playable Capture Sets';
+            CAPTURE_SETS.forEach(set => {
+                const option = document.createElement('option');
+                option.value = `set:${set.id}`;
+                option.textContent = `${set.name} (GAIN sweep)`;
+                setGroup.appendChild(option);
             });
+            this.captureSelect.appendChild(setGroup);
+        }
+
+        const groups = {};
+        BUNDLED_CAPTURES.forEach(capture => {
+            if (!groups[capture.group]) {
+                groups[capture.group] = document.createElement('optgroup');
+                groups[capture.group].label = capture.group;
+                this.captureSelect.appendChild(groups[capture.group]);
+            }
+            const option = document.createElement('option');
+            option.value = capture.file;
+            option.textContent = capture.label;
+            groups[capture.group].appendChild(option);
+        });
+    }
+
+    populateIRs() {
+        const selects = Object.values(this.irControls).flatMap(slots => Object.values(slots).map(slot => slot.select));
+        selects.filter(Boolean).forEach(select => {
+            BUNDLED_IRS.forEach(ir => {
+                const option = document.createElement('option');
+                option.value = ir.file;
+                option.textContent = ir.label;
+                select.appendChild(option);
+            });
+        });
+    }
+
+    // Shows capture metadata under the cab name; `fallbackName` is used for
+    // captures without a `metadata.name`.
+    showCaptureInfo(info, fallbackName) {
+        const name = info ? info.name || fallbackName : null;
+        if (this.modelNameDisplay) {
+            this.modelNameDisplay.textContent = name ? name.toUpperCase() : 'NEURAL ARCHETYPE';
+        }
+        if (!this.captureInfoDisplay) return;
+
+        this.captureInfoDisplay.classList.remove('error');
+        if (!info) {
+            this.captureInfoDisplay.textContent = '';
+            return;
+        }
+        const details = [
+            info.modeledBy && `by ${info.modeledBy}`,
+            info.gearType,
+            info.toneType,
+            info.latency !== null && `reamp latency ${info.latency} smp`
+        ].filter(Boolean);
+        this.captureInfoDisplay.textContent = `Capture: ${[name, ...details].join(' · ')}${this.getCaptureRateWarning()}`;
+    }
+
+    // Captures aren't resampled, so a rate mismatch is pointed out
+    getCaptureRateWarning() {
+        const trained = this.audio.getCaptureRateMismatch();
+        if (!trained) return '';
+        return ` · trained at ${formatRate(trained)}, running at ${formatRate(this.audio.ctx.sampleRate)}: switch Input Quality to match`;
+    }
+
+    // Offered when a capture is picked (not on preset recall): restarting
+    // the audio at the capture's rate, when Input Quality has it
+    offerCaptureRate() {
+        const trained = this.audio.getCaptureRateMismatch();
+        if (!trained || !this.sampleRateSelect) return;
+        if (![...this.sampleRateSelect.options].some(option => parseInt(option.value) === trained)) return;
+
+        const running = formatRate(this.audio.ctx.sampleRate);
+        if (!confirm(`This capture was trained at ${formatRate(trained)} and sounds off at ${running}. Restart the audio at ${formatRate(trained)}?`)) return;
+        this.sampleRateSelect.value = trained;
+        this.sampleRateSelect.dispatchEvent(new Event('change'));
+    }
+
+    refreshCaptureInfo() {
+        const current = this.audio.currentCapture;
+        if (!current || !this.captureInfoDisplay || this.captureInfoDisplay.classList.contains('error')) return;
+
+        if (current.set) {
+            this.showCaptureSetInfo(current.set);
+        } else if (current.model) {
+            const capture = BUNDLED_CAPTURES.find(c => c.file === current.name);
+            this.showCaptureInfo(current.model.info, capture ? `${capture.group} ${capture.label}` : current.name.replace(/\.nam$/i, ''));
+        }
+    }
+
+    // e.g. "Capture set: Marshall JCM800 2203 · G1-G10 on GAIN · MV5-MV7 on MASTER"
+    showCaptureSetInfo(set) {
+        if (this.modelNameDisplay) this.modelNameDisplay.textContent = set.name.toUpperCase();
+        if (!this.captureInfoDisplay) return;
+
+        const axes = set.axes.map(axis => {
+            const first = axis.values[0];
+            const last = axis.values[axis.values.length - 1];
+            return `${axis.prefix}${first}-${axis.prefix}${last} on ${axis.knob.toUpperCase()}`;
+        });
+        this.captureInfoDisplay.classList.remove('error');
+        this.captureInfoDisplay.textContent = `Capture set: ${[set.name, ...axes].join(' · ')}${this.getCaptureRateWarning()}`;
+    }
+
+    showCaptureError(err) {
+        // The previous capture keeps running
+        if (this.captureSelect) {
+            const current = this.audio.currentCapture;
+            if (current && current.set) {
+                this.captureSelect.value = `set:${current.set.id}`;
+            } else {
+                const bundled = current && BUNDLED_CAPTURES.some(c => c.file === current.name);
+                this.captureSelect.value = bundled ? current.name : '';
+            }
+        }
+        if (this.captureInfoDisplay) {
+            this.captureInfoDisplay.textContent = `Capture rejected: ${err.message}`;
+            this.captureInfoDisplay.classList.add('error');
         }
     }
 
@@ -237,10 +818,12 @@ export class UIController {
         this.knobs.forEach(knob => {
             knob.addEventListener('mousedown', (e) => this.startDrag(e, knob));
 
-            // Set initial rotation
+            // Set initial rotation from the engine's value
             const min = parseFloat(knob.dataset.min);
             const max = parseFloat(knob.dataset.max);
-            const val = parseFloat(knob.dataset.value);
+            const engineVal = this.audio.getParam(knob.dataset.param);
+            const val = engineVal !== undefined ? engineVal : parseFloat(knob.dataset.value);
+            knob.dataset.value = val;
             this.updateKnobVisual(knob, val, min, max);
         });
     }
@@ -249,7 +832,7 @@ export class UIController {
         this.isDragging = true;
         this.currentKnob = knob;
         this.startY = e.clientY;
-        this.startValue = parseFloat(knob.dataset.value);
+        this.startPosition = this.getKnobPosition(knob, parseFloat(knob.dataset.value));
 
         knob.parentElement.classList.add('is-dragging');
         document.body.style.cursor = 'ns-resize';
@@ -262,25 +845,66 @@ export class UIController {
 
         const deltaY = this.startY - e.clientY;
 
-        const min = parseFloat(this.currentKnob.dataset.min);
-        const max = parseFloat(this.currentKnob.dataset.max);
-        const range = max - min;
-        const step = range / 200;
+        // Full travel over 200px
+        const position = this.startPosition + deltaY / 200;
+        this.setKnobValue(this.currentKnob, this.getKnobValue(this.currentKnob, position));
+    }
 
-        let newValue = this.startValue + (deltaY * step);
-        newValue = Math.min(Math.max(newValue, min), max);
+    // Knob travel (0-1) of a value, following the param's taper
+    getKnobPosition(knob, value) {
+        const position = normalizeParam(knob.dataset.param, value);
+        if (position !== null) return position;
+        const min = parseFloat(knob.dataset.min);
+        const max = parseFloat(knob.dataset.max);
+        return (value - min) / (max - min);
+    }
 
-        this.currentKnob.dataset.value = newValue;
-        this.updateKnobVisual(this.currentKnob, newValue, min, max);
+    getKnobValue(knob, position) {
+        const value = denormalizeParam(knob.dataset.param, position);
+        if (value !== null) return value;
+        const min = parseFloat(knob.dataset.min);
+        const max = parseFloat(knob.dataset.max);
+        return min + Math.min(Math.max(position, 0), 1) * (max - min);
+    }
 
-        const tooltip = this.currentKnob.parentElement.querySelector('.floating-tooltip');
-        if (tooltip) {
-            let displayVal = newValue.toFixed(1);
-            if (this.currentKnob.dataset.param === 'gate') displayVal += ' dB';
-            tooltip.textContent = displayVal;
-        }
+    // Flips a panel switch as if clicked (gate, bright, drive)
+    setSwitch(name, isActive) {
+        const sw = document.getElementById(`sw-${name}`);
+        if (!sw || sw.checked === isActive) return;
+        sw.checked = isActive;
+        sw.dispatchEvent(new Event('change'));
+    }
+
+    // Shows values the engine changed on its own (amp defaults) on the panel
+    syncControls() {
+        const { params, switches } = this.audio.getState();
+        this.knobs.forEach(knob => {
+            const value = params[knob.dataset.param];
+            if (typeof value !== 'number') return;
+            knob.dataset.value = value;
+            this.updateKnobVisual(knob, value, parseFloat(knob.dataset.min), parseFloat(knob.dataset.max));
+            const tooltip = knob.parentElement.querySelector('.floating-tooltip');
+            if (tooltip) tooltip.textContent = formatParam(knob.dataset.param, value);
+        });
+        this.switches.forEach(sw => {
+            const name = sw.id.replace('sw-', '');
+            if (name in switches) sw.checked = switches[name];
+        });
+        this.showAmpSelect();
+    }
+
+    setKnobValue(knob, value) {
+        const min = parseFloat(knob.dataset.min);
+        const max = parseFloat(knob.dataset.max);
+        const newValue = Math.min(Math.max(value, min), max);
+
+        knob.dataset.value = newValue;
+        this.updateKnobVisual(knob, newValue, min, max);
+
+        const tooltip = knob.parentElement.querySelector('.floating-tooltip');
+        if (tooltip) tooltip.textContent = formatParam(knob.dataset.param, newValue);
 
-        this.audio.setParam(this.currentKnob.dataset.param, newValue);
+        this.audio.setParam(knob.dataset.param, newValue);
     }
 
     endDrag() {
@@ -293,7 +917,7 @@ export class UIController {
     }
 
     updateKnobVisual(knob, value, min, max) {
-        const percent = (value - min) / (max - min);
+        const percent = this.getKnobPosition(knob, value);
         const angle = -135 + (percent * 270);
         knob.style.transform = `rotate(${angle}deg)`;
     }
@@ -313,12 +937,44 @@ export class UIController {
                 const height = Math.min(100, (average / 32) * 100);
 
                 if (this.vuOut) this.vuOut.style.width = `${height}%`;
+                if (this.gateLed) this.gateLed.classList.toggle('open', this.audio.gateOpen);
             }
             this.rafId = requestAnimationFrame(draw);
         };
         draw();
     }
 
+    async populateInputDevices() {
+        if (this.inputChannelSelect) this.inputChannelSelect.value = this.audio.inputChannel;
+        if (!this.audioInputSelect) return;
+
+        const devices = await this.audio.getAudioInputDevices();
+
+        this.audioInputSelect.innerHTML = '<option value="default">System Default</option>';
+        devices.forEach(device => {
+            if (device.deviceId === 'default') return;
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            option.textContent = device.label || `Audio Input ${device.deviceId.substring(0, 8)}`;
+            this.audioInputSelect.appendChild(option);
+        });
+
+        const current = this.audio.audioInputDeviceId || 'default';
+        this.audioInputSelect.value = devices.some(d => d.deviceId === current) ? current : 'default';
+        this.showInputDevice();
+    }
+
+    showInputDevice() {
+        if (!this.inputStatus) return;
+
+        const notice = this.audio.inputNotice;
+        const name = this.audio.getInputDeviceName();
+        let text = notice || (name ? `Listening to: ${name}` : 'Input starts with the amp');
+        if (!notice && name && this.audio.getInputChannelCount() < 2) text += ' (mono device)';
+        this.inputStatus.textContent = text;
+        this.inputStatus.classList.toggle('error', !!notice);
+    }
+
     async populateAudioDevices() {
         if (!this.audioOutputSelect) return;
 
@@ -336,7 +992,31 @@ export class UIController {
         });
 
         // Set current selection
-        const currentDevice = this.audio.audioOutputDeviceId || 'default';
+        const currentDevice = this.audio.activeOutputDeviceId || 'default';
         this.audioOutputSelect.value = currentDevice;
+        this.showOutputDevice();
+    }
+
+    // Latency the browser reports for the running context
+    showLatency() {
+        if (!this.latencyStatus) return;
+
+        const latency = this.audio.getLatency();
+        if (!latency) {
+            this.latencyStatus.textContent = 'Latency: measured once audio starts';
+            return;
+        }
+        const format = (ms) => (ms === null ? 'n/a' : `${ms.toFixed(1)} ms`);
+        this.latencyStatus.textContent = `Latency: base ${format(latency.base)} · output ${format(latency.output)}`;
+    }
+
+    // Device in use, or why the chosen one isn't
+    showOutputDevice() {
+        if (this.audioOutputSelect) this.audioOutputSelect.value = this.audio.activeOutputDeviceId;
+        if (!this.outputStatus) return;
+
+        const notice = this.audio.outputNotice;
+        this.outputStatus.textContent = notice || `Playing through: ${this.audio.outputDeviceName}`;
+        this.outputStatus.classList.toggle('error', !!notice);
     }
 }
@@ -0,0 +1,90 @@
+// WAV (RIFF) encoding and download of recorded audio: 24-bit PCM or
+// 32-bit float.
+
+export const WAV_FORMATS = {
+    pcm24: { label: '24-bit PCM', formatTag: 1, bytes: 3 },
+    float32: { label: '32-bit float', formatTag: 3, bytes: 4 }
+};
+
+// Format chosen in Settings (Recording Format)
+export function getSavedWavFormat() {
+    const saved = localStorage.getItem('recordFormat');
+    return saved in WAV_FORMATS ? saved : 'pcm24';
+}
+
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Large takes need the URL alive until the download has started
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+// channels: array of equal-length Float32Arrays. Returns a Blob.
+export function encodeWav(channels, sampleRate, format = 'pcm24') {
+    const { formatTag, bytes } = WAV_FORMATS[format];
+    const frames = channels[0].length;
+    const blockAlign = channels.length * bytes;
+    const dataSize = frames * blockAlign;
+    const isFloat = formatTag === 3;
+
+    // Non-PCM data needs the extended fmt chunk (cbSize) and a fact chunk
+    const fmtSize = isFloat ? 18 : 16;
+    const factSize = isFloat ? 12 : 0;
+    const headerSize = 12 + 8 + fmtSize + factSize + 8;
+
+    const buffer = new ArrayBuffer(headerSize + dataSize);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, headerSize + dataSize - 8, true);
+    writeString(view, 8, 'WAVE');
+    offset = 12;
+
+    writeString(view, offset, 'fmt ');
+    view.setUint32(offset + 4, fmtSize, true);
+    view.setUint16(offset + 8, formatTag, true);
+    view.setUint16(offset + 10, channels.length, true);
+    view.setUint32(offset + 12, sampleRate, true);
+    view.setUint32(offset + 16, sampleRate * blockAlign, true);
+    view.setUint16(offset + 20, blockAlign, true);
+    view.setUint16(offset + 22, bytes * 8, true);
+    if (isFloat) view.setUint16(offset + 24, 0, true);
+    offset += 8 + fmtSize;
+
+    if (isFloat) {
+        writeString(view, offset, 'fact');
+        view.setUint32(offset + 4, 4, true);
+        view.setUint32(offset + 8, frames, true);
+        offset += factSize;
+    }
+
+    writeString(view, offset, 'data');
+    view.setUint32(offset + 4, dataSize, true);
+    offset += 8;
+
+    for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < channels.length; c++) {
+            const sample = channels[c][i];
+            if (isFloat) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const clamped = Math.min(Math.max(sample, -1), 1);
+                const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7fffff);
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytes;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
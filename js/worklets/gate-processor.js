@@ -0,0 +1,101 @@
+// Noise gate (downward expander to silence) with hysteresis and hold.
+//
+// Input 0 is gated. With `sidechain` on, the detector listens to input 1
+// instead (the dry DI), so a gate moved after the drives or the amp still
+// keys from the playing rather than the amplified noise floor.
+//
+// The gate opens above `threshold`, closes below `threshold - hysteresis`
+// once `hold` has passed, and fades with `attack` / `release`. Open/close
+// changes are posted as { type: 'state', open }.
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+// Time constant (ms) of the level detector's decay
+const DETECTOR_RELEASE_MS = 10;
+
+class GateProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'threshold', defaultValue: -60, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+            { name: 'hysteresis', defaultValue: 6, minValue: 0, maxValue: 30, automationRate: 'k-rate' },
+            { name: 'hold', defaultValue: 50, minValue: 0, maxValue: 2000, automationRate: 'k-rate' },
+            { name: 'attack', defaultValue: 1, minValue: 0.05, maxValue: 200, automationRate: 'k-rate' },
+            { name: 'release', defaultValue: 100, minValue: 1, maxValue: 2000, automationRate: 'k-rate' },
+            { name: 'sidechain', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+            { name: 'bypass', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.envelope = 0;
+        this.gain = 0;
+        this.open = false;
+        this.holdLeft = 0;
+        this.detectorDecay = Math.exp(-1 / (DETECTOR_RELEASE_MS * 0.001 * sampleRate));
+    }
+
+    coefficient(ms) {
+        return 1 - Math.exp(-1 / (ms * 0.001 * sampleRate));
+    }
+
+    setOpen(open) {
+        if (open === this.open) return;
+        this.open = open;
+        this.port.postMessage({ type: 'state', open });
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const n = output[0].length;
+
+        if (parameters.bypass[0] >= 0.5) {
+            for (let c = 0; c < output.length; c++) {
+                if (input[c]) output[c].set(input[c]);
+                else output[c].fill(0);
+            }
+            this.gain = 1;
+            this.setOpen(true);
+            return true;
+        }
+
+        const key = parameters.sidechain[0] >= 0.5 && inputs[1] && inputs[1].length > 0 ? inputs[1] : input;
+        const openLevel = dbToGain(parameters.threshold[0]);
+        const closeLevel = dbToGain(parameters.threshold[0] - parameters.hysteresis[0]);
+        const holdSamples = parameters.hold[0] * 0.001 * sampleRate;
+        const attack = this.coefficient(parameters.attack[0]);
+        const release = this.coefficient(parameters.release[0]);
+
+        for (let t = 0; t < n; t++) {
+            // Peak detector across all key channels
+            let peak = 0;
+            for (let c = 0; c < key.length; c++) {
+                const level = Math.abs(key[c][t]);
+                if (level > peak) peak = level;
+            }
+            this.envelope = Math.max(peak, this.envelope * this.detectorDecay);
+
+            if (this.envelope >= openLevel) {
+                this.setOpen(true);
+                this.holdLeft = holdSamples;
+            } else if (this.open && this.envelope < closeLevel) {
+                if (this.holdLeft > 0) this.holdLeft--;
+                else this.setOpen(false);
+            } else if (this.open) {
+                // Between the thresholds: stay open and restart hold
+                this.holdLeft = holdSamples;
+            }
+
+            const target = this.open ? 1 : 0;
+            this.gain += (target - this.gain) * (target > this.gain ? attack : release);
+
+            for (let c = 0; c < output.length; c++) {
+                output[c][t] = input[c] ? input[c][t] * this.gain : 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('gate-processor', GateProcessor);
@@ -0,0 +1,302 @@
+// Looper pedal: records the amp's output into a loop and plays it back
+// (the live signal is not passed through, it's mixed in by the graph).
+//
+// The loop is a stack of layers: the first recording sets its length,
+// each overdub adds a layer that undo can take off again.
+//
+// States: empty -> recording -> playing <-> overdubbing, and stopped.
+//
+// Messages in:
+//   action  { action }  'record' (record / close / overdub / play toggle),
+//                       'play' (start / stop), 'stop', 'undo', 'clear'
+//   set     { fixedLength, halfSpeed, reverse }  fixedLength in samples, 0 = free
+//   export  { id, layers }  the mixed loop, or each layer with `layers`
+//   load    { layers }      replaces the loop (stopped)
+//   spares  { length, layers }  empty overdub layers, made on the main thread
+// Messages out:
+//   state   { state, layers, length, position }  on changes and while running
+//   export  { id, channels } or { id, layers }
+//   spares  { length, count }   asks for `count` overdub layers of `length`
+
+const MAX_SECONDS = 60;
+// Overdubs beyond this are merged into the first layer
+const MAX_LAYERS = 32;
+// Overdub layers kept in hand, so an overdub starts without allocating
+const SPARE_LAYERS = 2;
+// Samples per channel merged per block while folding a layer
+const FOLD_SLICE = 4096;
+// Seam de-click on the first layer (samples)
+const SEAM_FADE = 64;
+const REPORT_INTERVAL = 16;
+
+class LooperProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        // The first layer records straight into these (no allocation on the audio thread)
+        this.record = [new Float32Array(MAX_SECONDS * sampleRate), new Float32Array(MAX_SECONDS * sampleRate)];
+        this.layers = [];
+        // Overdub layers from the main thread, and how many are on the way
+        this.spares = [];
+        this.requested = 0;
+        this.overdubPending = false;
+        // Samples of the oldest overdub merged so far (see foldLayers)
+        this.folded = 0;
+        this.length = 0;
+        this.position = 0;
+        this.lastWrite = -1;
+        this.state = 'empty';
+        this.fixedLength = 0;
+        this.halfSpeed = false;
+        this.reverse = false;
+        this.blocks = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(msg) {
+        if (msg.type === 'action') {
+            this.handleAction(msg.action);
+        } else if (msg.type === 'set') {
+            ['fixedLength', 'halfSpeed', 'reverse'].forEach(key => {
+                if (key in msg) this[key] = msg[key];
+            });
+        } else if (msg.type === 'export') {
+            this.export(msg);
+        } else if (msg.type === 'load') {
+            this.load(msg.layers);
+        } else if (msg.type === 'spares') {
+            this.receiveSpares(msg);
+        }
+        this.report();
+    }
+
+    handleAction(action) {
+        const state = this.state;
+        this.overdubPending = false;
+        if (action === 'record') {
+            if (state === 'empty') this.startRecording();
+            else if (state === 'recording') this.closeLoop('playing');
+            else if (state === 'playing') this.startOverdub();
+            else if (state === 'overdubbing') this.state = 'playing';
+            else if (state === 'stopped') {
+                this.position = this.startPosition();
+                this.startOverdub();
+            }
+        } else if (action === 'play') {
+            if (state === 'stopped') {
+                this.position = this.startPosition();
+                this.state = 'playing';
+            } else {
+                this.handleAction('stop');
+            }
+        } else if (action === 'stop') {
+            if (state === 'recording') this.closeLoop('stopped');
+            else if (state === 'playing' || state === 'overdubbing') this.state = 'stopped';
+        } else if (action === 'undo') {
+            if (this.layers.length > 1) {
+                this.layers.pop();
+                if (state === 'overdubbing') this.state = 'playing';
+            }
+        } else if (action === 'clear') {
+            this.layers = [];
+            this.resetSpares();
+            this.length = 0;
+            this.position = 0;
+            this.state = 'empty';
+        }
+    }
+
+    startRecording() {
+        this.length = 0;
+        this.position = 0;
+        this.state = 'recording';
+    }
+
+    closeLoop(nextState) {
+        if (this.length < SEAM_FADE * 2) {
+            this.state = 'empty';
+            this.length = 0;
+            return;
+        }
+        const base = this.record.map(channel => channel.subarray(0, this.length));
+        base.forEach(channel => {
+            for (let i = 0; i < SEAM_FADE; i++) {
+                const gain = i / SEAM_FADE;
+                channel[i] *= gain;
+                channel[this.length - 1 - i] *= gain;
+            }
+        });
+        this.layers = [base];
+        this.position = this.startPosition();
+        this.state = nextState;
+        this.resetSpares();
+        this.requestSpares();
+    }
+
+    // Past MAX_LAYERS, process() folds the oldest overdub into the first
+    // layer (see foldLayers)
+    startOverdub() {
+        const layer = this.spares.pop();
+        this.requestSpares();
+        if (!layer) {
+            // Starts when the main thread's layers arrive
+            this.overdubPending = true;
+            return;
+        }
+        this.layers.push(layer);
+        this.lastWrite = -1;
+        this.state = 'overdubbing';
+    }
+
+    // --- Overdub layers ---
+
+    // Spares fit one loop length; a new loop needs new ones
+    resetSpares() {
+        this.spares = [];
+        this.requested = 0;
+        this.folded = 0;
+    }
+
+    requestSpares() {
+        const count = SPARE_LAYERS - this.spares.length - this.requested;
+        if (this.length === 0 || count <= 0) return;
+        this.requested += count;
+        this.port.postMessage({ type: 'spares', length: this.length, count });
+    }
+
+    receiveSpares({ length, layers }) {
+        // Made for a loop that has since been cleared
+        if (length !== this.length) return;
+        this.requested = Math.max(this.requested - layers.length, 0);
+        this.spares.push(...layers);
+        if (this.overdubPending) {
+            this.overdubPending = false;
+            this.startOverdub();
+        }
+    }
+
+    // Moves a slice of the oldest overdub into the first layer. The sum of
+    // the layers doesn't change, so playback is unaffected; once empty, the
+    // overdub's buffers become a spare.
+    foldLayers() {
+        if (this.layers.length < 2 || (this.layers.length <= MAX_LAYERS && this.folded === 0)) {
+            this.folded = 0;
+            return;
+        }
+        const [base, oldest] = this.layers;
+        const end = Math.min(this.folded + FOLD_SLICE, this.length);
+        for (let c = 0; c < 2; c++) {
+            for (let i = this.folded; i < end; i++) {
+                base[c][i] += oldest[c][i];
+                oldest[c][i] = 0;
+            }
+        }
+        this.folded = end;
+        if (end < this.length) return;
+        this.layers.splice(1, 1);
+        this.spares.push(oldest);
+        this.folded = 0;
+    }
+
+    startPosition() {
+        return this.reverse ? this.length - 1 : 0;
+    }
+
+    load(layers) {
+        if (!layers || layers.length === 0) return;
+        this.length = Math.min(layers[0][0].length, this.record[0].length);
+        // The first layer lives in the record buffers
+        for (let c = 0; c < 2; c++) this.record[c].set(layers[0][c].subarray(0, this.length));
+        this.layers = [this.record.map(channel => channel.subarray(0, this.length)), ...layers.slice(1)];
+        this.position = 0;
+        this.state = 'stopped';
+        this.resetSpares();
+        this.requestSpares();
+    }
+
+    export(msg) {
+        if (msg.layers) {
+            const layers = this.layers.map(layer => layer.map(channel => channel.slice(0)));
+            this.port.postMessage({ type: 'export', id: msg.id, layers });
+            return;
+        }
+        const channels = [new Float32Array(this.length), new Float32Array(this.length)];
+        this.layers.forEach(layer => {
+            for (let c = 0; c < 2; c++) {
+                for (let i = 0; i < this.length; i++) channels[c][i] += layer[c][i];
+            }
+        });
+        this.port.postMessage({ type: 'export', id: msg.id, channels }, channels.map(channel => channel.buffer));
+    }
+
+    report() {
+        this.port.postMessage({
+            type: 'state',
+            state: this.state,
+            layers: this.layers.length,
+            length: this.length,
+            position: this.position
+        });
+    }
+
+    // Sum of all layers at a (fractional) loop position
+    readLoop(c, position) {
+        const i = Math.floor(position);
+        const next = i + 1 < this.length ? i + 1 : 0;
+        const frac = position - i;
+        let sum = 0;
+        for (let l = 0; l < this.layers.length; l++) {
+            const channel = this.layers[l][c];
+            sum += channel[i] + (channel[next] - channel[i]) * frac;
+        }
+        return sum;
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        const n = output[0].length;
+        output.forEach(channel => channel.fill(0));
+        this.foldLayers();
+
+        const state = this.state;
+        if (state === 'empty' || state === 'stopped') return true;
+
+        const rate = (this.halfSpeed ? 0.5 : 1) * (this.reverse ? -1 : 1);
+        const limit = this.fixedLength > 0 ? Math.min(this.fixedLength, this.record[0].length) : this.record[0].length;
+
+        for (let t = 0; t < n; t++) {
+            const left = input[0] ? input[0][t] : 0;
+            const right = input[1] ? input[1][t] : left;
+
+            if (this.state === 'recording') {
+                this.record[0][this.length] = left;
+                this.record[1][this.length] = right;
+                if (++this.length >= limit) this.closeLoop('playing');
+                continue;
+            }
+
+            for (let c = 0; c < output.length; c++) output[c][t] = this.readLoop(Math.min(c, 1), this.position);
+
+            if (this.state === 'overdubbing') {
+                // At half speed each loop sample is written once, as the read head reaches it
+                const index = Math.floor(this.position);
+                if (index !== this.lastWrite) {
+                    const layer = this.layers[this.layers.length - 1];
+                    layer[0][index] += left;
+                    layer[1][index] += right;
+                    this.lastWrite = index;
+                }
+            }
+
+            this.position += rate;
+            if (this.position >= this.length) this.position -= this.length;
+            else if (this.position < 0) this.position += this.length;
+        }
+
+        if (this.state !== state || ++this.blocks % REPORT_INTERVAL === 0) this.report();
+        return true;
+    }
+}
+
+registerProcessor('looper-processor', LooperProcessor);
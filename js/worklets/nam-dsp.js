@@ -0,0 +1,674 @@
+// Neural Amp Modeler inference.
+// Mirrors the reference NeuralAmpModelerCore layout so the flat `weights`
+// array of a .nam file can be consumed in order.
+
+import { KERNEL_WASM } from './nam-kernel.js';
+
+// Largest block handled in one pass; longer requests are split
+const MAX_BLOCK = 128;
+
+// tanh from a table with linear interpolation: within 2e-6 of Math.tanh
+// and several times faster, which matters at one call per channel, layer
+// and sample
+const TANH_RANGE = 8;
+const TANH_SIZE = 4096;
+const TANH_SCALE = TANH_SIZE / (2 * TANH_RANGE);
+const TANH_TABLE = new Float64Array(TANH_SIZE + 1);
+for (let i = 0; i <= TANH_SIZE; i++) TANH_TABLE[i] = Math.tanh(i / TANH_SCALE - TANH_RANGE);
+
+function tanh(x) {
+    const position = (x + TANH_RANGE) * TANH_SCALE;
+    if (position <= 0) return -1;
+    if (position >= TANH_SIZE) return 1;
+    const i = position | 0;
+    const a = TANH_TABLE[i];
+    return a + (TANH_TABLE[i + 1] - a) * (position - i);
+}
+
+const ACTIVATIONS = {
+    Tanh: tanh,
+    Fasttanh: (x) => {
+        const ax = Math.abs(x);
+        const x2 = x * x;
+        return (x * (2.45550750702956 + 2.45550750702956 * ax + (0.893229853513558 + 0.821226666969744 * ax) * x2)) /
+            (2.44506634652299 + (2.44506634652299 + x2) * Math.abs(x + 0.814642734961073 * x * ax));
+    },
+    ReLU: (x) => (x > 0 ? x : 0),
+    LeakyReLU: (x) => (x > 0 ? x : 0.01 * x),
+    Hardtanh: (x) => (x < -1 ? -1 : x > 1 ? 1 : x),
+    Sigmoid: (x) => 0.5 + 0.5 * tanh(0.5 * x),
+    SiLU: (x) => x / (1 + Math.exp(-x))
+};
+
+function getActivation(name) {
+    const fn = ACTIVATIONS[name];
+    if (!fn) throw new Error(`Unsupported activation: ${name}`);
+    return fn;
+}
+
+function sigmoid(x) {
+    return 0.5 + 0.5 * tanh(0.5 * x);
+}
+
+// Outputs are computed in blocks of this many channels (see nam-kernel.wat)
+const LANES = 8;
+
+function padChannels(channels) {
+    return Math.ceil(channels / LANES) * LANES;
+}
+
+// The SIMD kernel, or null where WebAssembly SIMD is unavailable and the
+// JS multiply below is used instead
+const KERNEL = typeof WebAssembly === 'object' && WebAssembly.validate(KERNEL_WASM)
+    ? new WebAssembly.Module(KERNEL_WASM)
+    : null;
+
+// Allocates a model's buffers. Given a size in floats (and a kernel), they
+// are views into one WebAssembly memory the kernel can reach; otherwise
+// plain arrays, which also serves to measure that size.
+class Arena {
+    constructor(size = 0) {
+        this.used = 0;
+        this.memory = null;
+        this.kernel = null;
+        if (size && KERNEL) {
+            this.memory = new WebAssembly.Memory({ initial: Math.ceil(size * 4 / 65536) || 1 });
+            this.kernel = new WebAssembly.Instance(KERNEL, { env: { memory: this.memory } }).exports.multiply;
+        }
+    }
+
+    alloc(length) {
+        const view = this.memory
+            ? new Float32Array(this.memory.buffer, this.used * 4, length)
+            : new Float32Array(length);
+        // Keep every buffer 16-byte aligned
+        this.used += Math.ceil(length / 4) * 4;
+        return view;
+    }
+}
+
+// Frame-major buffers: channel c of frame t is at [t * stride + c], so a
+// frame's channels are contiguous for the dot products below. The stride is
+// the channel count padded to whole blocks of outputs.
+function makeFrames(arena, channels, length) {
+    return arena.alloc(padChannels(channels) * length);
+}
+
+// Sequential reader over the flat weights array
+class WeightReader {
+    constructor(weights) {
+        this.weights = weights;
+        this.offset = 0;
+    }
+
+    take(count) {
+        if (this.offset + count > this.weights.length) {
+            throw new Error('Model weights are shorter than its config requires');
+        }
+        const out = Float64Array.from(this.weights.slice(this.offset, this.offset + count));
+        this.offset += count;
+        return out;
+    }
+
+    finish() {
+        if (this.offset !== this.weights.length) {
+            throw new Error(`Model has ${this.weights.length - this.offset} unused weights`);
+        }
+    }
+}
+
+// Dense weights for multiply(), from `rows` as [out][rowLength]. Inputs
+// past `rowLength` up to `length` (padding in the input frames) get zero
+// weights. Outputs are packed in blocks of LANES, interleaved per input, so
+// a block's weights for one input sit side by side.
+function makeMatrix(arena, rows, rowLength, length, outChannels, bias) {
+    const blocks = padChannels(outChannels) / LANES;
+    const packed = arena.alloc(blocks * LANES * length);
+    for (let o = 0; o < outChannels; o++) {
+        const b = Math.floor(o / LANES);
+        const r = o % LANES;
+        for (let j = 0; j < rowLength; j++) packed[(b * length + j) * LANES + r] = rows[o * rowLength + j];
+    }
+    const padded = arena.alloc(blocks * LANES);
+    if (bias) padded.set(bias);
+    return { packed, bias: padded, length, blocks, kernel: arena.kernel };
+}
+
+// out[t][o] (+)= bias[o] + sum_j W[o][j] * x[t][j], for frame-major `x`
+// rows of `matrix.length`. The JS version sums four outputs of two frames
+// at once: each weight and input loaded serves several products, and the
+// eight independent sums keep the CPU's adders busy.
+function multiply(matrix, x, out, n, accumulate) {
+    const { packed, bias, length, blocks, kernel } = matrix;
+    if (kernel) {
+        kernel(packed.byteOffset, bias.byteOffset, x.byteOffset, out.byteOffset, n, length, blocks, accumulate ? 1 : 0);
+        return;
+    }
+
+    const stride = blocks * LANES;
+    const groups = stride >> 2;
+    if (!accumulate) out.fill(0, 0, n * stride);
+
+    for (let t = 0; t < n; t += 2) {
+        const pair = t + 1 < n;
+        const x0 = t * length;
+        // An odd last frame is summed twice and stored once
+        const x1 = pair ? x0 + length : x0;
+        const y0 = t * stride;
+        const y1 = y0 + stride;
+
+        for (let g = 0; g < groups; g++) {
+            let a0 = 0, a1 = 0, a2 = 0, a3 = 0;
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0;
+            // Each half of a block reads every other four weights
+            let w = (g >> 1) * length * LANES + (g & 1) * 4;
+            let j = 0;
+            // Two inputs per pass, then the odd one out
+            for (; j + 1 < length; j += 2, w += 2 * LANES) {
+                let u = x[x0 + j];
+                let v = x[x1 + j];
+                let w0 = packed[w];
+                let w1 = packed[w + 1];
+                let w2 = packed[w + 2];
+                let w3 = packed[w + 3];
+                a0 += w0 * u;
+                a1 += w1 * u;
+                a2 += w2 * u;
+                a3 += w3 * u;
+                b0 += w0 * v;
+                b1 += w1 * v;
+                b2 += w2 * v;
+                b3 += w3 * v;
+                u = x[x0 + j + 1];
+                v = x[x1 + j + 1];
+                w0 = packed[w + LANES];
+                w1 = packed[w + LANES + 1];
+                w2 = packed[w + LANES + 2];
+                w3 = packed[w + LANES + 3];
+                a0 += w0 * u;
+                a1 += w1 * u;
+                a2 += w2 * u;
+                a3 += w3 * u;
+                b0 += w0 * v;
+                b1 += w1 * v;
+                b2 += w2 * v;
+                b3 += w3 * v;
+            }
+            if (j < length) {
+                const u = x[x0 + j];
+                const v = x[x1 + j];
+                a0 += packed[w] * u;
+                a1 += packed[w + 1] * u;
+                a2 += packed[w + 2] * u;
+                a3 += packed[w + 3] * u;
+                b0 += packed[w] * v;
+                b1 += packed[w + 1] * v;
+                b2 += packed[w + 2] * v;
+                b3 += packed[w + 3] * v;
+            }
+            const o = g * 4;
+            out[y0 + o] += bias[o] + a0;
+            out[y0 + o + 1] += bias[o + 1] + a1;
+            out[y0 + o + 2] += bias[o + 2] + a2;
+            out[y0 + o + 3] += bias[o + 3] + a3;
+            if (pair) {
+                out[y1 + o] += bias[o] + b0;
+                out[y1 + o + 1] += bias[o + 1] + b1;
+                out[y1 + o + 2] += bias[o + 2] + b2;
+                out[y1 + o + 3] += bias[o + 3] + b3;
+            }
+        }
+    }
+}
+
+// Conv1D weights are stored [out][in][kernel]; regroup them as one row per
+// output, [kernel][in], to match the taps gatherTaps lays out.
+function readConv1D(arena, reader, inChannels, outChannels, kernelSize, dilation, withBias) {
+    const raw = reader.take(outChannels * inChannels * kernelSize);
+    const rows = new Float64Array(raw.length);
+    for (let o = 0; o < outChannels; o++) {
+        for (let i = 0; i < inChannels; i++) {
+            for (let k = 0; k < kernelSize; k++) {
+                rows[(o * kernelSize + k) * inChannels + i] = raw[(o * inChannels + i) * kernelSize + k];
+            }
+        }
+    }
+    const bias = withBias ? reader.take(outChannels) : null;
+    const length = kernelSize * inChannels;
+    return {
+        ...makeMatrix(arena, rows, length, length, outChannels, bias),
+        inChannels,
+        kernelSize,
+        dilation,
+        // Each frame's taps in a row (see gatherTaps)
+        taps: arena.alloc(length * MAX_BLOCK)
+    };
+}
+
+// Reads a frame-major input of padChannels(inChannels) floats per frame
+function readConv1x1(arena, reader, inChannels, outChannels, withBias) {
+    const rows = reader.take(outChannels * inChannels);
+    const bias = withBias ? reader.take(outChannels) : null;
+    return makeMatrix(arena, rows, inChannels, padChannels(inChannels), outChannels, bias);
+}
+
+// Input history for causal convolutions, `stride` floats per frame. It is
+// rewound (the last `maxShift` frames copied to the front) when it fills up.
+class History {
+    constructor(arena, stride, maxShift) {
+        this.stride = stride;
+        this.maxShift = maxShift;
+        this.capacity = maxShift + 16 * MAX_BLOCK;
+        this.data = arena.alloc(stride * this.capacity);
+        this.offset = maxShift;
+    }
+
+    // Appends a block and returns the frame offset of its first frame
+    write(input, n) {
+        const stride = this.stride;
+        if (this.offset + n > this.capacity) {
+            this.data.copyWithin(0, (this.offset - this.maxShift) * stride, this.offset * stride);
+            this.offset = this.maxShift;
+        }
+        const offset = this.offset;
+        const data = this.data;
+        const start = offset * stride;
+        for (let i = 0; i < n * stride; i++) data[start + i] = input[i];
+        this.offset += n;
+        return offset;
+    }
+
+    reset() {
+        this.data.fill(0);
+        this.offset = this.maxShift;
+    }
+}
+
+// Row t of `conv.taps` becomes x[t - (K - 1) * dilation], ..., x[t]
+function gatherTaps(conv, history, offset, n) {
+    const { taps, length, inChannels, kernelSize, dilation } = conv;
+    const { data, stride } = history;
+    for (let t = 0; t < n; t++) {
+        let to = t * length;
+        for (let k = 0; k < kernelSize; k++) {
+            const from = (offset + t - (kernelSize - 1 - k) * dilation) * stride;
+            for (let i = 0; i < inChannels; i++) taps[to++] = data[from + i];
+        }
+    }
+    return taps;
+}
+
+// out[t][o] (+)= bias[o] + sum_k W[o][k][i] * x[t - (K - 1 - k) * dilation][i]
+function applyConv1D(conv, history, offset, out, n, accumulate) {
+    multiply(conv, gatherTaps(conv, history, offset, n), out, n, accumulate);
+}
+
+function applyConv1x1(conv, input, out, n, accumulate) {
+    multiply(conv, input, out, n, accumulate);
+}
+
+// --- WaveNet ---
+
+class WaveNetLayer {
+    constructor(arena, reader, condSize, channels, kernelSize, dilation, activation, gated) {
+        this.channels = channels;
+        this.stride = padChannels(channels);
+        this.gated = gated;
+        this.activation = getActivation(activation);
+        const zChannels = gated ? 2 * channels : channels;
+        this.zStride = padChannels(zChannels);
+
+        this.conv = readConv1D(arena, reader, channels, zChannels, kernelSize, dilation, true);
+        this.mixin = readConv1x1(arena, reader, condSize, zChannels, false);
+        this.oneByOne = readConv1x1(arena, reader, channels, channels, true);
+
+        this.history = new History(arena, this.stride, (kernelSize - 1) * dilation);
+        this.z = makeFrames(arena, zChannels, MAX_BLOCK);
+        this.post = makeFrames(arena, channels, MAX_BLOCK);
+    }
+
+    // Updates `residual` in place and accumulates into `headAcc`
+    process(residual, cond, headAcc, n) {
+        const ch = this.channels;
+        const stride = this.stride;
+        const zStride = this.zStride;
+        const z = this.z;
+        const post = this.post;
+
+        const offset = this.history.write(residual, n);
+        applyConv1D(this.conv, this.history, offset, z, n, false);
+        applyConv1x1(this.mixin, cond, z, n, true);
+
+        const act = this.activation;
+        const gated = this.gated;
+        for (let t = 0; t < n; t++) {
+            const zt = t * zStride;
+            const pt = t * stride;
+            for (let o = 0; o < ch; o++) {
+                let value = act(z[zt + o]);
+                if (gated) value *= sigmoid(z[zt + ch + o]);
+                post[pt + o] = value;
+                headAcc[pt + o] += value;
+            }
+        }
+
+        applyConv1x1(this.oneByOne, post, residual, n, true);
+    }
+
+    reset() {
+        this.history.reset();
+    }
+}
+
+class WaveNetLayerArray {
+    constructor(arena, reader, config) {
+        this.stride = padChannels(config.channels);
+
+        this.rechannel = readConv1x1(arena, reader, config.input_size, config.channels, false);
+        this.layers = config.dilations.map(dilation => new WaveNetLayer(
+            arena,
+            reader,
+            config.condition_size,
+            config.channels,
+            config.kernel_size,
+            dilation,
+            config.activation,
+            !!config.gated
+        ));
+        this.headRechannel = readConv1x1(arena, reader, config.channels, config.head_size, !!config.head_bias);
+
+        this.residual = makeFrames(arena, config.channels, MAX_BLOCK);
+        this.headAcc = makeFrames(arena, config.channels, MAX_BLOCK);
+        this.headOut = makeFrames(arena, config.head_size, MAX_BLOCK);
+        this.receptiveField = config.dilations.reduce((sum, d) => sum + (config.kernel_size - 1) * d, 0);
+    }
+
+    // Returns the residual stream; the head output is left in `this.headOut`
+    process(input, cond, headIn, n) {
+        const residual = this.residual;
+        applyConv1x1(this.rechannel, input, residual, n, false);
+
+        const acc = this.headAcc;
+        if (headIn) acc.set(headIn.subarray(0, n * this.stride));
+        else acc.fill(0, 0, n * this.stride);
+
+        for (let l = 0; l < this.layers.length; l++) this.layers[l].process(residual, cond, acc, n);
+
+        applyConv1x1(this.headRechannel, acc, this.headOut, n, false);
+        return residual;
+    }
+
+    reset() {
+        this.layers.forEach(layer => layer.reset());
+    }
+}
+
+export class WaveNet {
+    constructor(config, weights, arena) {
+        if (config.head) throw new Error('WaveNet post-head is not supported');
+
+        const reader = new WeightReader(weights);
+        this.arrays = config.layers.map((arrayConfig, i) => {
+            const prev = config.layers[i - 1];
+            if (prev && prev.head_size !== arrayConfig.channels) {
+                throw new Error('WaveNet layer arrays have mismatched head sizes');
+            }
+            return new WaveNetLayerArray(arena, reader, arrayConfig);
+        });
+        this.headScale = reader.take(1)[0];
+        reader.finish();
+
+        // The last array's head is the single output channel
+        this.cond = makeFrames(arena, 1, MAX_BLOCK);
+        this.receptiveField = this.arrays.reduce((sum, a) => sum + a.receptiveField, 0) + 1;
+    }
+
+    process(input, output, length) {
+        const cond = this.cond;
+        for (let start = 0; start < length; start += MAX_BLOCK) {
+            const n = Math.min(MAX_BLOCK, length - start);
+            for (let t = 0; t < n; t++) cond[t * LANES] = input[start + t];
+
+            let x = cond;
+            let head = null;
+            for (let a = 0; a < this.arrays.length; a++) {
+                x = this.arrays[a].process(x, cond, head, n);
+                head = this.arrays[a].headOut;
+            }
+
+            for (let t = 0; t < n; t++) output[start + t] = this.headScale * head[t * LANES];
+        }
+    }
+
+    reset() {
+        this.arrays.forEach(array => array.reset());
+    }
+}
+
+// --- ConvNet ---
+
+// Kernel size is fixed at 2 by the trainer
+const CONVNET_KERNEL_SIZE = 2;
+
+class ConvNetBlock {
+    constructor(arena, reader, inChannels, channels, dilation, batchnorm, activation) {
+        this.conv = readConv1D(arena, reader, inChannels, channels, CONVNET_KERNEL_SIZE, dilation, !batchnorm);
+        this.channels = channels;
+        this.stride = padChannels(channels);
+        this.activation = getActivation(activation);
+
+        // Batchnorm folded into a per-channel scale and offset
+        this.scale = new Float64Array(channels).fill(1);
+        this.loc = new Float64Array(channels);
+        if (batchnorm) {
+            const mean = reader.take(channels);
+            const variance = reader.take(channels);
+            const weight = reader.take(channels);
+            const bias = reader.take(channels);
+            const eps = reader.take(1)[0];
+            for (let c = 0; c < channels; c++) {
+                this.scale[c] = weight[c] / Math.sqrt(eps + variance[c]);
+                this.loc[c] = bias[c] - this.scale[c] * mean[c];
+            }
+        }
+
+        this.history = new History(arena, padChannels(inChannels), (CONVNET_KERNEL_SIZE - 1) * dilation);
+        this.out = makeFrames(arena, channels, MAX_BLOCK);
+    }
+
+    process(input, n) {
+        const channels = this.channels;
+        const stride = this.stride;
+        const out = this.out;
+        const offset = this.history.write(input, n);
+        applyConv1D(this.conv, this.history, offset, out, n, false);
+
+        const act = this.activation;
+        for (let t = 0; t < n; t++) {
+            const y = t * stride;
+            for (let o = 0; o < channels; o++) out[y + o] = act(out[y + o] * this.scale[o] + this.loc[o]);
+        }
+        return out;
+    }
+
+    reset() {
+        this.history.reset();
+    }
+}
+
+export class ConvNet {
+    constructor(config, weights, arena) {
+        const reader = new WeightReader(weights);
+        this.blocks = config.dilations.map((dilation, i) => new ConvNetBlock(
+            arena,
+            reader,
+            i === 0 ? 1 : config.channels,
+            config.channels,
+            dilation,
+            !!config.batchnorm,
+            config.activation
+        ));
+        this.head = readConv1x1(arena, reader, config.channels, 1, true);
+        reader.finish();
+
+        this.input = makeFrames(arena, 1, MAX_BLOCK);
+        this.headOut = makeFrames(arena, 1, MAX_BLOCK);
+        this.receptiveField = config.dilations.reduce((sum, d) => sum + d, 0) + 1;
+    }
+
+    process(input, output, length) {
+        for (let start = 0; start < length; start += MAX_BLOCK) {
+            const n = Math.min(MAX_BLOCK, length - start);
+            for (let t = 0; t < n; t++) this.input[t * LANES] = input[start + t];
+
+            let x = this.input;
+            for (let b = 0; b < this.blocks.length; b++) x = this.blocks[b].process(x, n);
+            applyConv1x1(this.head, x, this.headOut, n, false);
+            for (let t = 0; t < n; t++) output[start + t] = this.headOut[t * LANES];
+        }
+    }
+
+    reset() {
+        this.blocks.forEach(block => block.reset());
+    }
+}
+
+// --- LSTM ---
+
+class LSTMCell {
+    constructor(reader, inputSize, hiddenSize) {
+        this.inputSize = inputSize;
+        this.hiddenSize = hiddenSize;
+
+        // Gate rows are ordered input, forget, cell, output (PyTorch layout)
+        this.weights = reader.take(4 * hiddenSize * (inputSize + hiddenSize));
+        this.bias = reader.take(4 * hiddenSize);
+        this.initialHidden = reader.take(hiddenSize);
+        this.initialCell = reader.take(hiddenSize);
+
+        // [input, hidden] concatenated, as the weight matrix expects
+        this.xh = new Float64Array(inputSize + hiddenSize);
+        this.cell = new Float64Array(hiddenSize);
+        this.gates = new Float64Array(4 * hiddenSize);
+        this.hidden = this.xh.subarray(inputSize);
+        this.reset();
+    }
+
+    step(input) {
+        const H = this.hiddenSize;
+        const cols = this.xh.length;
+        const xh = this.xh;
+        const w = this.weights;
+        const gates = this.gates;
+
+        xh.set(input);
+        for (let r = 0; r < 4 * H; r++) {
+            let sum = this.bias[r];
+            const row = r * cols;
+            for (let c = 0; c < cols; c++) sum += w[row + c] * xh[c];
+            gates[r] = sum;
+        }
+
+        for (let h = 0; h < H; h++) {
+            const i = sigmoid(gates[h]);
+            const f = sigmoid(gates[H + h]);
+            const g = Math.tanh(gates[2 * H + h]);
+            const o = sigmoid(gates[3 * H + h]);
+            this.cell[h] = f * this.cell[h] + i * g;
+            this.hidden[h] = o * Math.tanh(this.cell[h]);
+        }
+    }
+
+    reset() {
+        this.xh.fill(0);
+        this.hidden.set(this.initialHidden);
+        this.cell.set(this.initialCell);
+    }
+}
+
+export class LSTM {
+    constructor(config, weights) {
+        const reader = new WeightReader(weights);
+        this.layers = [];
+        for (let i = 0; i < config.num_layers; i++) {
+            this.layers.push(new LSTMCell(reader, i === 0 ? config.input_size : config.hidden_size, config.hidden_size));
+        }
+        this.headWeight = reader.take(config.hidden_size);
+        this.headBias = reader.take(1)[0];
+        reader.finish();
+
+        this.input = new Float64Array(config.input_size);
+        // Recurrent state starts from the trained initial values
+        this.receptiveField = 1;
+    }
+
+    process(input, output, length) {
+        const last = this.layers[this.layers.length - 1];
+        for (let n = 0; n < length; n++) {
+            this.input[0] = input[n];
+            let x = this.input;
+            for (let l = 0; l < this.layers.length; l++) {
+                this.layers[l].step(x);
+                x = this.layers[l].hidden;
+            }
+
+            let sum = this.headBias;
+            const hidden = last.hidden;
+            for (let h = 0; h < hidden.length; h++) sum += this.headWeight[h] * hidden[h];
+            output[n] = sum;
+        }
+    }
+
+    reset() {
+        this.layers.forEach(layer => layer.reset());
+    }
+}
+
+// --- Linear (FIR) ---
+
+export class Linear {
+    constructor(config, weights, arena) {
+        const reader = new WeightReader(weights);
+        // weights[0] applies to the newest sample
+        this.weights = reader.take(config.receptive_field);
+        this.bias = config.bias ? reader.take(1)[0] : 0;
+        reader.finish();
+
+        this.history = new History(arena, 1, config.receptive_field - 1);
+        this.receptiveField = config.receptive_field;
+    }
+
+    process(input, output, length) {
+        const taps = this.weights.length;
+        const data = this.history.data;
+        for (let start = 0; start < length; start += MAX_BLOCK) {
+            const n = Math.min(MAX_BLOCK, length - start);
+            const offset = this.history.write(input.subarray(start, start + n), n);
+            for (let t = 0; t < n; t++) {
+                let sum = this.bias;
+                const newest = offset + t;
+                for (let k = 0; k < taps; k++) sum += this.weights[k] * data[newest - k];
+                output[start + t] = sum;
+            }
+        }
+    }
+
+    reset() {
+        this.history.reset();
+    }
+}
+
+const ARCHITECTURES = { WaveNet, ConvNet, LSTM, Linear };
+
+// Builds the DSP for a parsed model description ({ architecture, config, weights })
+export function createModel(model) {
+    const Architecture = ARCHITECTURES[model.architecture];
+    if (!Architecture) throw new Error(`Unsupported NAM architecture: ${model.architecture}`);
+    if (!KERNEL) return new Architecture(model.config, model.weights, new Arena());
+
+    // A first build measures the buffers, the second places them in a
+    // memory of that size for the kernel
+    const sizing = new Arena();
+    new Architecture(model.config, model.weights, sizing);
+    return new Architecture(model.config, model.weights, new Arena(sizing.used));
+}
@@ -0,0 +1,32 @@
+// WebAssembly build of nam-kernel.wat (see there for the calling convention)
+export const KERNEL_WASM = new Uint8Array([
+    0, 97, 115, 109, 1, 0, 0, 0, 1, 12, 1, 96, 8, 127, 127, 127,
+    127, 127, 127, 127, 127, 0, 2, 15, 1, 3, 101, 110, 118, 6, 109, 101,
+    109, 111, 114, 121, 2, 0, 1, 3, 2, 1, 0, 7, 12, 1, 8, 109,
+    117, 108, 116, 105, 112, 108, 121, 0, 0, 10, 133, 3, 1, 130, 3, 2,
+    12, 127, 8, 123, 32, 5, 65, 2, 116, 33, 18, 32, 6, 65, 5, 116,
+    33, 19, 2, 64, 3, 64, 32, 8, 32, 4, 79, 13, 1, 32, 8, 65,
+    1, 106, 32, 4, 73, 33, 11, 32, 2, 32, 8, 32, 18, 108, 106, 33,
+    12, 32, 12, 32, 18, 106, 32, 12, 32, 11, 27, 33, 13, 32, 3, 32,
+    8, 32, 19, 108, 106, 33, 16, 32, 16, 32, 19, 106, 33, 17, 32, 0,
+    33, 14, 32, 1, 33, 15, 65, 0, 33, 9, 3, 64, 32, 15, 253, 0,
+    4, 0, 33, 20, 32, 15, 253, 0, 4, 16, 33, 21, 32, 20, 33, 22,
+    32, 21, 33, 23, 32, 7, 4, 64, 32, 20, 32, 16, 253, 0, 4, 0,
+    253, 228, 1, 33, 20, 32, 21, 32, 16, 253, 0, 4, 16, 253, 228, 1,
+    33, 21, 32, 11, 4, 64, 32, 22, 32, 17, 253, 0, 4, 0, 253, 228,
+    1, 33, 22, 32, 23, 32, 17, 253, 0, 4, 16, 253, 228, 1, 33, 23,
+    11, 11, 65, 0, 33, 10, 3, 64, 32, 12, 32, 10, 106, 253, 9, 2,
+    0, 33, 24, 32, 13, 32, 10, 106, 253, 9, 2, 0, 33, 25, 32, 14,
+    253, 0, 4, 0, 33, 26, 32, 14, 253, 0, 4, 16, 33, 27, 32, 20,
+    32, 26, 32, 24, 253, 230, 1, 253, 228, 1, 33, 20, 32, 21, 32, 27,
+    32, 24, 253, 230, 1, 253, 228, 1, 33, 21, 32, 22, 32, 26, 32, 25,
+    253, 230, 1, 253, 228, 1, 33, 22, 32, 23, 32, 27, 32, 25, 253, 230,
+    1, 253, 228, 1, 33, 23, 32, 14, 65, 32, 106, 33, 14, 32, 10, 65,
+    4, 106, 33, 10, 32, 10, 32, 18, 73, 13, 0, 11, 32, 16, 32, 20,
+    253, 11, 4, 0, 32, 16, 32, 21, 253, 11, 4, 16, 32, 11, 4, 64,
+    32, 17, 32, 22, 253, 11, 4, 0, 32, 17, 32, 23, 253, 11, 4, 16,
+    11, 32, 16, 65, 32, 106, 33, 16, 32, 17, 65, 32, 106, 33, 17, 32,
+    15, 65, 32, 106, 33, 15, 32, 9, 65, 1, 106, 33, 9, 32, 9, 32,
+    6, 73, 13, 0, 11, 32, 8, 65, 2, 106, 33, 8, 12, 0, 11, 11,
+    11
+]);
@@ -0,0 +1,76 @@
+;; SIMD matrix multiply for nam-dsp.js. Assemble with
+;; `wat2wasm nam-kernel.wat` (wabt) and paste the bytes into nam-kernel.js.
+;;
+;; out[t][o] (+)= bias[o] + sum_j W[o][j] * x[t][j]
+;;
+;; Outputs come in blocks of eight: `w` holds, per block, each input's eight
+;; weights side by side, `bias` is padded to whole blocks and `out` rows are
+;; `blocks * 8` floats. Rows of `x` are `length` floats. Two frames are
+;; summed per pass so each weight load serves both. Pointers are in bytes.
+(module
+  (import "env" "memory" (memory 1))
+  (func (export "multiply")
+    (param $w i32) (param $bias i32) (param $x i32) (param $out i32)
+    (param $n i32) (param $length i32) (param $blocks i32) (param $accumulate i32)
+    (local $t i32) (local $b i32) (local $j i32) (local $pair i32)
+    (local $x0 i32) (local $x1 i32) (local $wp i32) (local $bp i32)
+    (local $o0 i32) (local $o1 i32) (local $rowBytes i32) (local $stride i32)
+    (local $a0 v128) (local $a1 v128) (local $c0 v128) (local $c1 v128)
+    (local $u v128) (local $v v128) (local $w0 v128) (local $w1 v128)
+    (local.set $rowBytes (i32.shl (local.get $length) (i32.const 2)))
+    (local.set $stride (i32.shl (local.get $blocks) (i32.const 5)))
+    (block $done
+      (loop $frames
+        (br_if $done (i32.ge_u (local.get $t) (local.get $n)))
+        (local.set $pair (i32.lt_u (i32.add (local.get $t) (i32.const 1)) (local.get $n)))
+        (local.set $x0 (i32.add (local.get $x) (i32.mul (local.get $t) (local.get $rowBytes))))
+        ;; An odd last frame is summed twice and stored once
+        (local.set $x1
+          (select
+            (i32.add (local.get $x0) (local.get $rowBytes))
+            (local.get $x0)
+            (local.get $pair)))
+        (local.set $o0 (i32.add (local.get $out) (i32.mul (local.get $t) (local.get $stride))))
+        (local.set $o1 (i32.add (local.get $o0) (local.get $stride)))
+        (local.set $wp (local.get $w))
+        (local.set $bp (local.get $bias))
+        (local.set $b (i32.const 0))
+        (loop $block
+          (local.set $a0 (v128.load (local.get $bp)))
+          (local.set $a1 (v128.load offset=16 (local.get $bp)))
+          (local.set $c0 (local.get $a0))
+          (local.set $c1 (local.get $a1))
+          (if (local.get $accumulate)
+            (then
+              (local.set $a0 (f32x4.add (local.get $a0) (v128.load (local.get $o0))))
+              (local.set $a1 (f32x4.add (local.get $a1) (v128.load offset=16 (local.get $o0))))
+              (if (local.get $pair)
+                (then
+                  (local.set $c0 (f32x4.add (local.get $c0) (v128.load (local.get $o1))))
+                  (local.set $c1 (f32x4.add (local.get $c1) (v128.load offset=16 (local.get $o1))))))))
+          (local.set $j (i32.const 0))
+          (loop $inputs
+            (local.set $u (v128.load32_splat (i32.add (local.get $x0) (local.get $j))))
+            (local.set $v (v128.load32_splat (i32.add (local.get $x1) (local.get $j))))
+            (local.set $w0 (v128.load (local.get $wp)))
+            (local.set $w1 (v128.load offset=16 (local.get $wp)))
+            (local.set $a0 (f32x4.add (local.get $a0) (f32x4.mul (local.get $w0) (local.get $u))))
+            (local.set $a1 (f32x4.add (local.get $a1) (f32x4.mul (local.get $w1) (local.get $u))))
+            (local.set $c0 (f32x4.add (local.get $c0) (f32x4.mul (local.get $w0) (local.get $v))))
+            (local.set $c1 (f32x4.add (local.get $c1) (f32x4.mul (local.get $w1) (local.get $v))))
+            (local.set $wp (i32.add (local.get $wp) (i32.const 32)))
+            (local.set $j (i32.add (local.get $j) (i32.const 4)))
+            (br_if $inputs (i32.lt_u (local.get $j) (local.get $rowBytes))))
+          (v128.store (local.get $o0) (local.get $a0))
+          (v128.store offset=16 (local.get $o0) (local.get $a1))
+          (if (local.get $pair)
+            (then
+              (v128.store (local.get $o1) (local.get $c0))
+              (v128.store offset=16 (local.get $o1) (local.get $c1))))
+          (local.set $o0 (i32.add (local.get $o0) (i32.const 32)))
+          (local.set $o1 (i32.add (local.get $o1) (i32.const 32)))
+          (local.set $bp (i32.add (local.get $bp) (i32.const 32)))
+          (local.set $b (i32.add (local.get $b) (i32.const 1)))
+          (br_if $block (i32.lt_u (local.get $b) (local.get $blocks))))
+        (local.set $t (i32.add (local.get $t) (i32.const 2)))
+        (br $frames)))))
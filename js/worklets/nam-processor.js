@@ -0,0 +1,137 @@
+import { createModel } from './nam-dsp.js';
+
+// Samples taken by a full 0 -> 1 weight ramp
+const FADE_LENGTH = 256;
+
+// Runs one or more NAM models side by side and mixes them with smoothed
+// weights. A single capture is a mix of one slot; capture sets morph
+// between neighbouring captures.
+//
+// Messages:
+//   load    { id, slot, model }  create a slot (kept as is if already resident)
+//   mix     { targets }          target weight per slot id, others go to 0
+//   release { slot }             fade the slot out, then free it
+class NamProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.slots = new Map();
+
+        this.mono = new Float32Array(128);
+        this.slotInput = new Float32Array(128);
+        this.slotOutput = new Float32Array(128);
+        this.buffer = new Float32Array(128);
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(msg) {
+        if (msg.type === 'load') {
+            this.load(msg);
+        } else if (msg.type === 'mix') {
+            this.slots.forEach((slot, id) => {
+                slot.target = msg.targets[id] ?? 0;
+            });
+        } else if (msg.type === 'release') {
+            const slot = this.slots.get(msg.slot);
+            if (slot) {
+                slot.released = true;
+                slot.target = 0;
+            }
+        }
+    }
+
+    load(msg) {
+        const existing = this.slots.get(msg.slot);
+        if (existing) {
+            existing.released = false;
+            this.port.postMessage({ type: 'loaded', id: msg.id });
+            return;
+        }
+
+        try {
+            const model = createModel(msg.model);
+            this.slots.set(msg.slot, {
+                model,
+                // Level trims from the capture's metadata
+                inputGain: msg.model.inputGain ?? 1,
+                outputGain: msg.model.outputGain ?? 1,
+                weight: 0,
+                target: 0,
+                // Muted until its receptive field holds real input
+                warmup: model.receptiveField,
+                released: false
+            });
+            this.port.postMessage({ type: 'loaded', id: msg.id });
+        } catch (e) {
+            this.port.postMessage({ type: 'error', id: msg.id, message: e.message });
+        }
+    }
+
+    downmix(input, n) {
+        const mono = this.mono;
+        if (!input || input.length === 0) {
+            mono.fill(0, 0, n);
+        } else {
+            const scale = 1 / input.length;
+            for (let t = 0; t < n; t++) {
+                let sum = 0;
+                for (let c = 0; c < input.length; c++) sum += input[c][t];
+                mono[t] = sum * scale;
+            }
+        }
+        return mono;
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const n = output[0].length;
+        if (this.buffer.length < n) {
+            this.mono = new Float32Array(n);
+            this.slotInput = new Float32Array(n);
+            this.slotOutput = new Float32Array(n);
+            this.buffer = new Float32Array(n);
+        }
+
+        const mono = this.downmix(inputs[0], n);
+        const buffer = this.buffer;
+        buffer.fill(0, 0, n);
+
+        // Weights hold still while an incoming capture warms up, so the
+        // outgoing one keeps playing instead of leaving a gap.
+        let holding = false;
+        this.slots.forEach(slot => {
+            if (slot.target > 0 && slot.warmup > 0) holding = true;
+        });
+
+        const step = 1 / FADE_LENGTH;
+        this.slots.forEach((slot, id) => {
+            if (slot.released && slot.weight === 0) {
+                this.slots.delete(id);
+                return;
+            }
+
+            const input = this.slotInput;
+            const out = this.slotOutput;
+            for (let t = 0; t < n; t++) input[t] = mono[t] * slot.inputGain;
+            slot.model.process(input, out, n);
+
+            if (slot.warmup > 0) {
+                slot.warmup = Math.max(0, slot.warmup - n);
+                return;
+            }
+
+            for (let t = 0; t < n; t++) {
+                if (!holding) {
+                    if (slot.weight < slot.target) slot.weight = Math.min(slot.target, slot.weight + step);
+                    else if (slot.weight > slot.target) slot.weight = Math.max(slot.target, slot.weight - step);
+                }
+                buffer[t] += out[t] * slot.weight * slot.outputGain;
+            }
+        });
+
+        output.forEach(channel => channel.set(buffer.subarray(0, n)));
+        return true;
+    }
+}
+
+registerProcessor('nam-processor', NamProcessor);
@@ -0,0 +1,209 @@
+// File player: plays a loaded recording with an optional A-B loop, tempo
+// change without pitch change and pitch change without tempo change.
+//
+// At normal speed and pitch the file is read straight through. Otherwise
+// it is rebuilt from overlapping Hann-windowed grains (WSOLA): grains follow
+// the playhead at `speed` and are read at the `pitch` ratio, and each new
+// grain is nudged to the offset that best lines up with the previous one.
+//
+// Messages in:
+//   load  { channels }          Float32Array per channel (at the context rate)
+//   set   { playing, speed, pitch, loop, loopStart, loopEnd }  (any subset,
+//         loop points in samples)
+//   seek  { position }          samples
+// Messages out:
+//   position { position, playing }  a few times per second and on changes
+//   ended                           reached the end of the file (no loop)
+
+const GRAIN_LENGTH = 2048;
+const HOP = GRAIN_LENGTH / 2;
+// How far (samples) a grain may move to line up with the previous one
+const SEEK_RANGE = 384;
+// Samples compared when lining grains up
+const MATCH_LENGTH = 256;
+// Loop wraps and seeks crossfade over this many samples
+const FADE_LENGTH = 256;
+// Blocks between position reports
+const REPORT_INTERVAL = 32;
+
+const WINDOW = new Float32Array(GRAIN_LENGTH).map((_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / GRAIN_LENGTH));
+
+class PlayerProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.channels = [];
+        this.length = 0;
+        this.playing = false;
+        this.position = 0;
+        this.speed = 1;
+        this.pitch = 1;
+        this.loop = false;
+        this.loopStart = 0;
+        this.loopEnd = 0;
+
+        this.grains = [];
+        this.nextGrain = 0;
+        // Straight playback jumping elsewhere fades out from here
+        this.fadeFrom = null;
+        this.fadeLeft = 0;
+        this.blocks = 0;
+
+        this.port.onmessage = (e) => this.handleMessage(e.data);
+    }
+
+    handleMessage(msg) {
+        if (msg.type === 'load') {
+            this.channels = msg.channels;
+            this.length = msg.channels[0] ? msg.channels[0].length : 0;
+            this.loopStart = 0;
+            this.loopEnd = this.length;
+            this.jump(0);
+        } else if (msg.type === 'set') {
+            ['playing', 'speed', 'pitch', 'loop', 'loopStart', 'loopEnd'].forEach(key => {
+                if (key in msg) this[key] = msg[key];
+            });
+        } else if (msg.type === 'seek') {
+            this.jump(Math.min(Math.max(msg.position, 0), this.length));
+        }
+        this.report();
+    }
+
+    jump(position) {
+        if (this.playing) {
+            this.fadeFrom = this.position;
+            this.fadeLeft = FADE_LENGTH;
+        }
+        this.position = position;
+        this.grains = [];
+        this.nextGrain = 0;
+    }
+
+    report() {
+        this.port.postMessage({ type: 'position', position: this.position, playing: this.playing });
+    }
+
+    isLooping() {
+        return this.loop && this.loopEnd - this.loopStart > GRAIN_LENGTH;
+    }
+
+    // Source position with loop wrap-around (reads past the end are silent)
+    wrap(position) {
+        if (this.isLooping() && position >= this.loopEnd) {
+            const span = this.loopEnd - this.loopStart;
+            return this.loopStart + ((position - this.loopStart) % span);
+        }
+        return position;
+    }
+
+    // Linear interpolated sample of one channel
+    readAt(channel, position) {
+        const i = Math.floor(position);
+        if (i < 0 || i + 1 >= this.length) return 0;
+        const frac = position - i;
+        return channel[i] + (channel[i + 1] - channel[i]) * frac;
+    }
+
+    read(channel, position) {
+        return this.readAt(channel, this.wrap(position));
+    }
+
+    // Offset near `target` whose waveform best continues from `reference`
+    align(target, reference) {
+        const data = this.channels[0];
+        let best = 0;
+        let bestScore = -Infinity;
+        for (let offset = -SEEK_RANGE; offset <= SEEK_RANGE; offset += 4) {
+            let score = 0;
+            for (let j = 0; j < MATCH_LENGTH; j += 2) {
+                score += this.read(data, target + offset + j) * this.read(data, reference + j);
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                best = offset;
+            }
+        }
+        return Math.max(target + best, 0);
+    }
+
+    startGrain() {
+        let start = this.position;
+        const previous = this.grains[this.grains.length - 1];
+        if (previous) {
+            // Where the previous grain's read head will be at this point
+            start = this.align(start, previous.start + HOP * this.pitch);
+        }
+        this.grains.push({ start, age: 0 });
+    }
+
+    process(inputs, outputs) {
+        const output = outputs[0];
+        const n = output[0].length;
+        output.forEach(channel => channel.fill(0));
+        if (!this.playing || this.length === 0) return true;
+
+        const straight = this.speed === 1 && this.pitch === 1;
+        const sources = this.channels;
+
+        for (let t = 0; t < n; t++) {
+            if (straight) {
+                if (this.grains.length > 0) {
+                    this.grains = [];
+                    this.nextGrain = 0;
+                }
+                for (let c = 0; c < output.length; c++) {
+                    const source = sources[Math.min(c, sources.length - 1)];
+                    let sample = this.read(source, this.position);
+                    if (this.fadeLeft > 0) {
+                        const fade = this.fadeLeft / FADE_LENGTH;
+                        // The old read head runs on past the loop end
+                        sample = sample * (1 - fade) + this.readAt(source, this.fadeFrom) * fade;
+                    }
+                    output[c][t] = sample;
+                }
+                if (this.fadeLeft > 0) {
+                    this.fadeFrom++;
+                    this.fadeLeft--;
+                }
+            } else {
+                if (this.nextGrain <= 0) {
+                    this.startGrain();
+                    this.nextGrain = HOP;
+                }
+                this.nextGrain--;
+
+                for (let g = 0; g < this.grains.length; g++) {
+                    const grain = this.grains[g];
+                    const gain = WINDOW[grain.age];
+                    const position = grain.start + grain.age * this.pitch;
+                    for (let c = 0; c < output.length; c++) {
+                        output[c][t] += this.read(sources[Math.min(c, sources.length - 1)], position) * gain;
+                    }
+                    grain.age++;
+                }
+                // Grains finish in the order they started
+                while (this.grains.length > 0 && this.grains[0].age >= GRAIN_LENGTH) this.grains.shift();
+            }
+
+            this.position += this.speed;
+            if (this.isLooping() && this.position >= this.loopEnd) {
+                if (straight) {
+                    this.fadeFrom = this.position;
+                    this.fadeLeft = FADE_LENGTH;
+                }
+                this.position = this.wrap(this.position);
+            } else if (this.position >= this.length) {
+                this.position = 0;
+                this.playing = false;
+                this.grains = [];
+                this.port.postMessage({ type: 'ended' });
+                this.report();
+                return true;
+            }
+        }
+
+        if (++this.blocks % REPORT_INTERVAL === 0) this.report();
+        return true;
+    }
+}
+
+registerProcessor('player-processor', PlayerProcessor);
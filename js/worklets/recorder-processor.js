@@ -0,0 +1,94 @@
+// Two-track recorder: input 0 is the dry DI, input 1 the processed output.
+// Both are captured in the same render quantum, so the takes line up
+// sample for sample.
+//
+// Messages in:  { type: 'start' }, { type: 'stop' },
+//               { type: 'spares', chunks: [{ dry, left, right }] }
+// Messages out: { type: 'data', dry, left, right, frames } each time a
+//               chunk fills and for the part filled at stop (buffers are
+//               transferred), then { type: 'stopped', dropped };
+//               { type: 'spares', count, length } asks for empty chunks
+
+const CHUNK_FRAMES = 16384;
+// Empty chunks kept on hand; the main thread replaces each one sent
+const SPARE_CHUNKS = 4;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.recording = false;
+        // Filled chunks go to the main thread whole and come back as new
+        // spares, so process() never allocates
+        this.spares = Array.from({ length: SPARE_CHUNKS }, () => ({
+            dry: new Float32Array(CHUNK_FRAMES),
+            left: new Float32Array(CHUNK_FRAMES),
+            right: new Float32Array(CHUNK_FRAMES)
+        }));
+        this.chunk = null;
+        this.frames = 0;
+        // Frames lost while no spare was at hand
+        this.dropped = 0;
+
+        this.port.onmessage = (e) => {
+            if (e.data.type === 'start') {
+                this.dropped = 0;
+                this.recording = true;
+            } else if (e.data.type === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ type: 'stopped', dropped: this.dropped });
+            } else if (e.data.type === 'spares') {
+                this.spares.push(...e.data.chunks);
+            }
+        };
+    }
+
+    // Sends the filled part of the current chunk; recording goes on in a spare
+    flush() {
+        const chunk = this.chunk;
+        this.chunk = null;
+        if (!chunk) return;
+        if (this.frames === 0) {
+            this.spares.push(chunk);
+            return;
+        }
+        this.port.postMessage(
+            { type: 'data', dry: chunk.dry, left: chunk.left, right: chunk.right, frames: this.frames },
+            [chunk.dry.buffer, chunk.left.buffer, chunk.right.buffer]
+        );
+        this.port.postMessage({ type: 'spares', count: 1, length: CHUNK_FRAMES });
+        this.frames = 0;
+    }
+
+    process(inputs) {
+        if (!this.recording) return true;
+
+        // Disconnected inputs have no channels and record as silence
+        const dry = inputs[0][0];
+        const wet = inputs[1];
+        const n = dry ? dry.length : (wet[0] ? wet[0].length : 128);
+
+        let t = 0;
+        while (t < n) {
+            if (!this.chunk) this.chunk = this.spares.pop() || null;
+            if (!this.chunk) {
+                // The main thread is behind with spares
+                this.dropped += n - t;
+                break;
+            }
+            const chunk = this.chunk;
+            const end = t + Math.min(n - t, CHUNK_FRAMES - this.frames);
+            let frame = this.frames;
+            for (; t < end; t++, frame++) {
+                chunk.dry[frame] = dry ? dry[t] : 0;
+                chunk.left[frame] = wet[0] ? wet[0][t] : 0;
+                chunk.right[frame] = wet[1] ? wet[1][t] : (wet[0] ? wet[0][t] : 0);
+            }
+            this.frames = frame;
+            if (frame === CHUNK_FRAMES) this.flush();
+        }
+        return true;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);